@@ -29,6 +29,12 @@ function validateEnvironment() {
 
 validateEnvironment();
 
+// 정수 환경 변수 파싱 (명시적인 0도 유효한 값으로 취급, 값이 없거나 숫자가 아닐 때만 기본값)
+function parseIntEnv(value, defaultValue) {
+  const parsed = parseInt(value, 10);
+  return Number.isNaN(parsed) ? defaultValue : parsed;
+}
+
 module.exports = {
   mongoURI: process.env.MONGO_URI,
   jwtSecret: process.env.JWT_SECRET,
@@ -37,5 +43,16 @@ module.exports = {
   redisHost: process.env.REDIS_HOST,
   redisPort: parseInt(process.env.REDIS_PORT) || 6379,
   openaiApiKey: process.env.OPENAI_API_KEY,
+  openaiBaseUrl: process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+  anthropicApiKey: process.env.ANTHROPIC_API_KEY,
+  anthropicBaseUrl: process.env.ANTHROPIC_BASE_URL || 'https://api.anthropic.com/v1',
+  // AI 제공자 기본값 (openai | anthropic | local), API 키가 없으면 로컬 mock 사용
+  aiProvider: process.env.AI_PROVIDER || (process.env.OPENAI_API_KEY ? 'openai' : 'local'),
+  localAiLatencyMs: parseIntEnv(process.env.LOCAL_AI_LATENCY_MS, 300),
+  localAiTokensPerSecond: parseIntEnv(process.env.LOCAL_AI_TOKENS_PER_SECOND, 20),
+  localAiResponseTokens: parseIntEnv(process.env.LOCAL_AI_RESPONSE_TOKENS, 60),
+  // AI에 전달할 최근 대화 수와 토큰 예산
+  aiContextMessages: parseIntEnv(process.env.AI_CONTEXT_MESSAGES, 20),
+  aiContextTokenBudget: parseIntEnv(process.env.AI_CONTEXT_TOKEN_BUDGET, 3000),
   vectorDbEndpoint: process.env.VECTOR_DB_ENDPOINT,
 };
\ No newline at end of file
@@ -0,0 +1,288 @@
+const mongoose = require('mongoose');
+const Message = require('../models/Message');
+const Room = require('../models/Room');
+const MessageService = require('../services/messageService');
+
+const HISTORY_PAGE_SIZE = 30;
+const HISTORY_MAX_PAGE_SIZE = 100;
+const SEARCH_PAGE_SIZE = 20;
+const SEARCH_MAX_PAGE_SIZE = 50;
+const SEARCHABLE_TYPES = ['text', 'file', 'ai'];
+const SNIPPET_RADIUS = 40; // 매칭 위치 앞뒤로 보여줄 글자 수
+
+// 커서 인코딩/디코딩 (timestamp + _id 기준, 동일 시각 메시지도 안정적으로 페이징)
+const encodeCursor = (message) => Buffer.from(JSON.stringify({
+  t: message.timestamp,
+  id: message._id.toString()
+})).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  try {
+    const { t, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    const timestamp = new Date(t);
+    if (isNaN(timestamp.getTime()) || !mongoose.isValidObjectId(id)) return null;
+    return { timestamp, id: new mongoose.Types.ObjectId(id) };
+  } catch (error) {
+    return null;
+  }
+};
+
+const parseDate = (value) => {
+  if (!value) return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? undefined : date;
+};
+
+// 쿼리 파라미터로 검색 조건 구성 (keyword, sender, type, from, to)
+const buildSearchFilter = (query) => {
+  const filter = { isDeleted: false };
+  const keyword = query.q?.trim() || query.keyword?.trim() || '';
+
+  if (keyword) {
+    filter.$text = { $search: keyword };
+  }
+
+  if (query.sender) {
+    if (!mongoose.isValidObjectId(query.sender)) {
+      return { error: '잘못된 발신자 ID입니다.' };
+    }
+    filter.sender = new mongoose.Types.ObjectId(query.sender);
+  }
+
+  if (query.type) {
+    if (!SEARCHABLE_TYPES.includes(query.type)) {
+      return { error: `검색 가능한 메시지 타입은 ${SEARCHABLE_TYPES.join(', ')}입니다.` };
+    }
+    filter.type = query.type;
+  } else {
+    filter.type = { $in: SEARCHABLE_TYPES };
+  }
+
+  const from = parseDate(query.from);
+  const to = parseDate(query.to);
+  if (from === undefined || to === undefined) {
+    return { error: '잘못된 날짜 형식입니다.' };
+  }
+  if (from || to) {
+    filter.timestamp = {};
+    if (from) filter.timestamp.$gte = from;
+    if (to) filter.timestamp.$lte = to;
+  }
+
+  if (!keyword && !query.sender && !query.type && !from && !to) {
+    return { error: '검색어 또는 검색 조건을 입력해주세요.' };
+  }
+
+  const terms = keyword
+    .replace(/"/g, ' ')
+    .split(/\s+/)
+    .filter(term => term && !term.startsWith('-'));
+
+  return { filter, terms };
+};
+
+// 검색어 주변 본문을 잘라 snippet과 하이라이트 구간(snippet 기준 offset) 생성
+const buildSnippet = (message, terms) => {
+  const text = message.content || message.metadata?.originalName || '';
+  if (!text) return { snippet: '', highlights: [] };
+
+  const lowerText = text.toLowerCase();
+  const firstMatch = terms
+    .map(term => lowerText.indexOf(term.toLowerCase()))
+    .filter(index => index !== -1)
+    .sort((a, b) => a - b)[0];
+
+  const start = firstMatch === undefined ? 0 : Math.max(0, firstMatch - SNIPPET_RADIUS);
+  const end = Math.min(text.length, (firstMatch ?? 0) + SNIPPET_RADIUS * 2);
+  const snippet = `${start > 0 ? '…' : ''}${text.slice(start, end)}${end < text.length ? '…' : ''}`;
+
+  const highlights = [];
+  const lowerSnippet = snippet.toLowerCase();
+  for (const term of terms) {
+    const lowerTerm = term.toLowerCase();
+    let index = lowerSnippet.indexOf(lowerTerm);
+    while (index !== -1) {
+      highlights.push([index, index + lowerTerm.length]);
+      index = lowerSnippet.indexOf(lowerTerm, index + lowerTerm.length);
+    }
+  }
+  highlights.sort((a, b) => a[0] - b[0]);
+
+  return { snippet, highlights };
+};
+
+// 공통 검색 실행 (rooms: 검색 대상 채팅방 ID 목록)
+const runSearch = async (req, res, rooms) => {
+  const { filter, terms, error } = buildSearchFilter(req.query);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: error
+    });
+  }
+
+  const limit = Math.min(
+    Math.max(1, parseInt(req.query.limit) || SEARCH_PAGE_SIZE),
+    SEARCH_MAX_PAGE_SIZE
+  );
+
+  filter.room = rooms.length === 1 ? rooms[0] : { $in: rooms };
+
+  if (req.query.cursor) {
+    const cursor = decodeCursor(req.query.cursor);
+    if (!cursor) {
+      return res.status(400).json({
+        success: false,
+        message: '잘못된 커서 값입니다.'
+      });
+    }
+    filter.$or = [
+      { timestamp: { $lt: cursor.timestamp } },
+      { timestamp: cursor.timestamp, _id: { $lt: cursor.id } }
+    ];
+  }
+
+  const messages = await Message.aggregate([
+    { $match: filter },
+    { $sort: { timestamp: -1, _id: -1 } },
+    { $limit: limit + 1 },
+    ...MessageService.getLookupStages(),
+    { $project: { __v: 0, updatedAt: 0, isDeleted: 0, readers: 0, readersData: 0, editHistory: 0 } }
+  ]);
+
+  const hasMore = messages.length > limit;
+  const data = messages.slice(0, limit).map(message => ({
+    ...message,
+    ...buildSnippet(message, terms)
+  }));
+
+  res.json({
+    success: true,
+    data,
+    metadata: {
+      hasMore,
+      nextCursor: hasMore ? encodeCursor(data[data.length - 1]) : null,
+      currentCount: data.length
+    }
+  });
+};
+
+// 채팅방 메시지 히스토리 조회 (before/after/around 커서, 소켓 없이 사용하는 클라이언트용)
+exports.loadMessages = async (req, res) => {
+  try {
+    const { before, after, around } = req.query;
+    if ([before, after, around].filter(Boolean).length > 1) {
+      return res.status(400).json({
+        success: false,
+        message: 'before, after, around 중 하나만 사용할 수 있습니다.'
+      });
+    }
+
+    if (!mongoose.isValidObjectId(req.params.roomId)) {
+      return res.status(400).json({
+        success: false,
+        message: '잘못된 채팅방 ID입니다.'
+      });
+    }
+
+    const room = await Room.findOne({
+      _id: req.params.roomId,
+      participants: req.user.id
+    }).select('_id').lean();
+
+    if (!room) {
+      return res.status(403).json({
+        success: false,
+        message: '채팅방 접근 권한이 없습니다.'
+      });
+    }
+
+    const limit = Math.min(
+      Math.max(1, parseInt(req.query.limit) || HISTORY_PAGE_SIZE),
+      HISTORY_MAX_PAGE_SIZE
+    );
+
+    const result = await MessageService.getRoomMessages(room._id, {
+      before,
+      after,
+      around,
+      limit
+    });
+
+    res.json({
+      success: true,
+      data: result.messages,
+      metadata: {
+        limit,
+        currentCount: result.messages.length,
+        hasMoreBefore: result.hasMoreBefore,
+        hasMoreAfter: result.hasMoreAfter,
+        oldestTimestamp: result.oldestTimestamp,
+        newestTimestamp: result.newestTimestamp
+      }
+    });
+  } catch (error) {
+    console.error('Message history fetch error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : '메시지를 불러오는 중 오류가 발생했습니다.'
+    });
+  }
+};
+
+// 특정 채팅방 메시지 검색
+exports.searchRoomMessages = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.roomId)) {
+      return res.status(400).json({
+        success: false,
+        message: '잘못된 채팅방 ID입니다.'
+      });
+    }
+
+    const room = await Room.findOne({
+      _id: req.params.roomId,
+      participants: req.user.id
+    }).select('_id').lean();
+
+    if (!room) {
+      return res.status(403).json({
+        success: false,
+        message: '채팅방 접근 권한이 없습니다.'
+      });
+    }
+
+    await runSearch(req, res, [room._id.toString()]);
+  } catch (error) {
+    console.error('Room message search error:', error);
+    res.status(500).json({
+      success: false,
+      message: '메시지 검색 중 오류가 발생했습니다.'
+    });
+  }
+};
+
+// 참여 중인 전체 채팅방 메시지 검색
+exports.searchMessages = async (req, res) => {
+  try {
+    const rooms = await Room.find({ participants: req.user.id })
+      .select('_id')
+      .lean();
+
+    if (rooms.length === 0) {
+      return res.json({
+        success: true,
+        data: [],
+        metadata: { hasMore: false, nextCursor: null, currentCount: 0 }
+      });
+    }
+
+    await runSearch(req, res, rooms.map(room => room._id.toString()));
+  } catch (error) {
+    console.error('Message search error:', error);
+    res.status(500).json({
+      success: false,
+      message: '메시지 검색 중 오류가 발생했습니다.'
+    });
+  }
+};
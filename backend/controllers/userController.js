@@ -1,5 +1,7 @@
 const bcrypt = require('bcryptjs');
 const User = require('../models/User');
+const Message = require('../models/Message');
+const MessageService = require('../services/messageService');
 const { upload } = require('../middleware/upload');
 const path = require('path');
 const fs = require('fs').promises;
@@ -24,6 +26,71 @@ exports.mentionableUsers = async (req, res) => {
   }
 };
 
+// 나를 멘션한 메시지 목록 조회 (before 커서 기반 페이징)
+exports.myMentions = async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(1, parseInt(req.query.limit) || 20), 50);
+    const match = {
+      mentions: req.user.id,
+      isDeleted: false
+    };
+
+    if (req.query.before) {
+      const before = new Date(req.query.before);
+      if (isNaN(before.getTime())) {
+        return res.status(400).json({
+          success: false,
+          message: '잘못된 커서 값입니다.'
+        });
+      }
+      match.timestamp = { $lt: before };
+    }
+
+    const messages = await Message.aggregate([
+      { $match: match },
+      { $sort: { timestamp: -1 } },
+      { $limit: limit + 1 },
+      ...MessageService.getLookupStages(),
+      {
+        $lookup: {
+          from: 'rooms',
+          let: { roomId: { $toObjectId: '$room' } },
+          as: 'roomInfo',
+          pipeline: [
+            { $match: { $expr: { $eq: ['$_id', '$$roomId'] } } },
+            { $project: { name: 1 } }
+          ]
+        }
+      },
+      {
+        $addFields: {
+          roomInfo: { $arrayElemAt: ['$roomInfo', 0] }
+        }
+      },
+      { $project: { __v: 0, updatedAt: 0, isDeleted: 0, readers: 0, readersData: 0 } }
+    ]);
+
+    const hasMore = messages.length > limit;
+    const data = messages.slice(0, limit);
+
+    res.json({
+      success: true,
+      data,
+      metadata: {
+        hasMore,
+        nextCursor: hasMore ? data[data.length - 1].timestamp : null,
+        currentCount: data.length
+      }
+    });
+  } catch (error) {
+    console.error('Mentions fetch error:', error);
+    res.status(500).json({
+      success: false,
+      message: '멘션 목록 조회 중 오류가 발생했습니다.'
+    });
+  }
+};
+
 // 회원가입
 exports.register = async (req, res) => {
   try {
@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+const { providerNames } = require('../services/aiProviders');
+
+// AI 페르소나 (room이 없으면 서버가 관리하는 기본 제공 페르소나로 모든 채팅방에서 사용 가능, API로 수정/삭제 불가)
+const AiPersonaSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 50
+  },
+  // 멘션에 사용하는 이름 (@handle), Message.aiType에 저장됨
+  handle: {
+    type: String,
+    required: true,
+    trim: true,
+    match: [/^[A-Za-z][A-Za-z0-9_]{1,31}$/, '핸들은 영문으로 시작하는 2~32자의 영문, 숫자, _만 사용할 수 있습니다.']
+  },
+  systemPrompt: {
+    type: String,
+    required: true,
+    maxlength: 4000
+  },
+  // 미지정 시 AI_PROVIDER 기본값 사용
+  provider: {
+    type: String,
+    enum: {
+      values: providerNames,
+      message: `지원하지 않는 AI 제공자입니다. (${providerNames.join(', ')} 중 선택)`
+    }
+  },
+  model: {
+    type: String,
+    trim: true
+  },
+  temperature: {
+    type: Number,
+    min: 0,
+    max: 2,
+    default: 0.7
+  },
+  avatar: {
+    type: String,
+    trim: true
+  },
+  room: {
+    type: String,
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// 같은 범위(기본 제공 또는 채팅방) 안에서 핸들 중복 방지
+AiPersonaSchema.index({ handle: 1, room: 1 }, { unique: true });
+AiPersonaSchema.index({ room: 1 });
+
+module.exports = mongoose.model('AiPersona', AiPersonaSchema);
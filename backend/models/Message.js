@@ -32,13 +32,30 @@ const MessageSchema = new mongoose.Schema({
       return this.type === 'file';
     }
   },
+  // AI 페르소나 핸들 (등록된 페르소나/제공자 여부는 응답 생성 시작 시 AiPersonaService.findPersona로 확인)
   aiType: {
     type: String,
-    enum: ['wayneAI', 'consultingAI'],
     required: function() { 
       return this.type === 'ai'; 
-    }
+    },
+    match: [/^[A-Za-z][A-Za-z0-9_]{1,31}$/, '올바르지 않은 AI 페르소나 핸들입니다.']
+  },
+  parentMessage: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Message'
+  },
+  replyCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  lastReplyAt: {
+    type: Date
   },
+  threadParticipants: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
   mentions: [{ 
     type: String,
     trim: true
@@ -68,6 +85,10 @@ const MessageSchema = new mongoose.Schema({
     }],
     default: new Map()
   },
+  // 마지막 리액션 변경 시각 (재접속 변경분 조회 시 리액션 변경 여부 판단)
+  reactionsUpdatedAt: {
+    type: Date
+  },
   metadata: {
     type: Map,
     of: mongoose.Schema.Types.Mixed,
@@ -77,6 +98,39 @@ const MessageSchema = new mongoose.Schema({
     type: Boolean,
     default: false,
     index: true
+  },
+  deletedAt: {
+    type: Date
+  },
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  isEdited: {
+    type: Boolean,
+    default: false
+  },
+  editedAt: {
+    type: Date
+  },
+  editHistory: [{
+    content: {
+      type: String,
+      required: true
+    },
+    editedAt: {
+      type: Date,
+      default: Date.now,
+      required: true
+    }
+  }],
+  // 고정 메시지 (pinnedAt이 있으면 고정됨)
+  pinnedAt: {
+    type: Date
+  },
+  pinnedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
   }
 }, {
   timestamps: true,
@@ -106,9 +160,33 @@ MessageSchema.index({ room: 1, type: 1, aiType: 1 });
 // 파일 메시지 쿼리용 인덱스
 MessageSchema.index({ room: 1, type: 1, file: 1 });
 
+// 재접속 시 변경분(신규/수정/삭제/리액션) 조회용 인덱스
+MessageSchema.index({ room: 1, updatedAt: 1 });
+
+// 스레드 답글 조회용 인덱스 (답글에만 parentMessage가 존재)
+MessageSchema.index(
+  { parentMessage: 1, timestamp: -1 },
+  { partialFilterExpression: { parentMessage: { $exists: true } } }
+);
+
+// 채팅방별 고정 메시지 조회용 인덱스
+MessageSchema.index(
+  { room: 1, pinnedAt: -1 },
+  { partialFilterExpression: { pinnedAt: { $exists: true } } }
+);
+
 // 멘션 쿼리용 인덱스
 MessageSchema.index({ room: 1, mentions: 1 });
 
+// 사용자별 멘션 목록 조회용 인덱스
+MessageSchema.index({ mentions: 1, timestamp: -1 });
+
+// 메시지 검색용 텍스트 인덱스 (한국어 형태소 분석이 없으므로 언어 처리 비활성화)
+MessageSchema.index(
+  { content: 'text', 'metadata.originalName': 'text' },
+  { default_language: 'none', name: 'message_text_search' }
+);
+
 // 리액션용 희소 인덱스 (리액션이 있는 메시지만)
 MessageSchema.index({ 'reactions': 1 }, { sparse: true });
 
@@ -161,6 +239,7 @@ MessageSchema.methods.addReaction = async function(emoji, userId) {
     if (!userReactions.includes(userId)) {
       userReactions.push(userId);
       this.reactions.set(emoji, userReactions);
+      this.reactionsUpdatedAt = new Date();
       await this.save();
     }
     
@@ -185,12 +264,18 @@ MessageSchema.methods.removeReaction = async function(emoji, userId) {
       id.toString() !== userId.toString()
     );
     
+    // 해당 사용자의 반응이 없었으면 변경 없음 (재연결 클라이언트에 반응 변경으로 전달되지 않도록)
+    if (updatedReactions.length === userReactions.length) {
+      return userReactions;
+    }
+
     if (updatedReactions.length === 0) {
       this.reactions.delete(emoji);
     } else {
       this.reactions.set(emoji, updatedReactions);
     }
     
+    this.reactionsUpdatedAt = new Date();
     await this.save();
     return this.reactions.get(emoji);
   } catch (error) {
@@ -204,9 +289,35 @@ MessageSchema.methods.removeReaction = async function(emoji, userId) {
   }
 };
 
+// 메시지 수정 메소드 (이전 내용은 editHistory에 보관)
+MessageSchema.methods.edit = async function(content) {
+  try {
+    this.editHistory.push({
+      content: this.content,
+      editedAt: new Date()
+    });
+    this.content = content;
+    this.isEdited = true;
+    this.editedAt = new Date();
+
+    await this.save();
+    return this;
+  } catch (error) {
+    console.error('Edit message error:', {
+      error,
+      messageId: this._id
+    });
+    throw error;
+  }
+};
+
 // 메시지 소프트 삭제 메소드 추가
-MessageSchema.methods.softDelete = async function() {
+MessageSchema.methods.softDelete = async function(deletedBy) {
   this.isDeleted = true;
+  this.deletedAt = new Date();
+  if (deletedBy) {
+    this.deletedBy = deletedBy;
+  }
   await this.save();
 };
 
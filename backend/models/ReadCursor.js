@@ -0,0 +1,110 @@
+const mongoose = require('mongoose');
+
+// 사용자별, 채팅방별 마지막으로 읽은 위치 (메시지마다 readers를 쌓는 대신 사용)
+const ReadCursorSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  room: {
+    type: String,
+    required: true
+  },
+  lastReadMessage: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Message'
+  },
+  lastReadAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// 사용자 + 채팅방 당 하나의 커서
+ReadCursorSchema.index({ user: 1, room: 1 }, { unique: true });
+
+// 커서 전진 (더 최근 메시지인 경우에만 갱신)
+ReadCursorSchema.statics.advance = async function(userId, roomId, message) {
+  if (!userId || !roomId || !message?.timestamp) return null;
+
+  const filter = { user: userId, room: roomId.toString() };
+  const update = {
+    $set: {
+      lastReadMessage: message._id,
+      lastReadAt: message.timestamp
+    }
+  };
+
+  try {
+    const cursor = await this.findOneAndUpdate(
+      { ...filter, lastReadAt: { $lt: message.timestamp } },
+      update,
+      { new: true }
+    );
+    if (cursor) return cursor;
+
+    return await this.create({
+      ...filter,
+      lastReadMessage: message._id,
+      lastReadAt: message.timestamp
+    });
+  } catch (error) {
+    // 이미 더 최근 위치를 가리키는 커서가 있는 경우
+    if (error.code === 11000) {
+      return this.findOne(filter);
+    }
+    console.error('Read cursor advance error:', {
+      error,
+      userId,
+      roomId
+    });
+    throw error;
+  }
+};
+
+// 채팅방별 안 읽은 메시지 수 / 마지막 읽은 시각 조회 (본인 메시지, 시스템 메시지, 스레드 답글 제외)
+ReadCursorSchema.statics.getUnreadSummary = async function(userId, roomIds) {
+  const summary = new Map();
+  if (!userId || !roomIds?.length) return summary;
+
+  const cursors = await this.find({
+    user: userId,
+    room: { $in: roomIds.map(id => id.toString()) }
+  }).select('room lastReadAt').lean();
+
+  const lastReadAtByRoom = new Map(cursors.map(cursor => [cursor.room, cursor.lastReadAt]));
+
+  const Message = mongoose.model('Message');
+  const counts = await Message.aggregate([
+    {
+      $match: {
+        $or: roomIds.map(id => ({
+          room: id.toString(),
+          timestamp: { $gt: lastReadAtByRoom.get(id.toString()) || new Date(0) }
+        })),
+        isDeleted: false,
+        parentMessage: null,
+        type: { $ne: 'system' },
+        sender: { $ne: new mongoose.Types.ObjectId(userId) }
+      }
+    },
+    { $group: { _id: '$room', count: { $sum: 1 } } }
+  ]);
+
+  const countByRoom = new Map(counts.map(item => [item._id, item.count]));
+
+  for (const id of roomIds) {
+    const roomId = id.toString();
+    summary.set(roomId, {
+      unreadCount: countByRoom.get(roomId) || 0,
+      lastReadAt: lastReadAtByRoom.get(roomId) || null
+    });
+  }
+
+  return summary;
+};
+
+module.exports = mongoose.model('ReadCursor', ReadCursorSchema);
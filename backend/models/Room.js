@@ -7,11 +7,23 @@ const RoomSchema = new mongoose.Schema({
     required: true,
     trim: true
   },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 500,
+    default: ''
+  },
   creator: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
     required: true
   },
+  // 공개 범위: public(목록 노출), unlisted(링크/ID로만 입장), private(참여자/초대로만 입장)
+  visibility: {
+    type: String,
+    enum: ['public', 'unlisted', 'private'],
+    default: 'public'
+  },
   hasPassword: {
     type: Boolean,
     default: false
@@ -27,7 +39,99 @@ const RoomSchema = new mongoose.Schema({
   participants: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
-  }]
+  }],
+  // 1:1 / 그룹 DM 여부 (공개 목록에 노출되지 않고 참여자가 고정됨)
+  isDirect: {
+    type: Boolean,
+    default: false
+  },
+  // DM 중복 방지용 키 (정렬된 참여자 ID 목록)
+  directKey: {
+    type: String
+  },
+  // 방장(creator) 외에 별도 역할이 부여된 참여자 (나머지 참여자는 member)
+  roles: [{
+    _id: false,
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    role: {
+      type: String,
+      enum: ['admin', 'moderator'],
+      required: true
+    },
+    assignedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    assignedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // 입장 차단 목록 (expiresAt이 없으면 해제 전까지 유지)
+  bans: [{
+    _id: false,
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    reason: String,
+    bannedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    bannedAt: {
+      type: Date,
+      default: Date.now
+    },
+    expiresAt: Date
+  }],
+  // 채팅 금지 목록 (읽기만 가능)
+  mutes: [{
+    _id: false,
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    reason: String,
+    mutedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    mutedAt: {
+      type: Date,
+      default: Date.now
+    },
+    expiresAt: Date
+  }],
+  // 채팅방 목록 미리보기용 마지막 메시지 (메인 타임라인 메시지만)
+  lastMessage: {
+    _id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Message'
+    },
+    sender: {
+      _id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      name: String
+    },
+    aiType: String,
+    // 중첩 필드명이 type이므로 객체로 선언 (lastMessage 전체가 String으로 해석되지 않도록)
+    type: { type: String },
+    snippet: String,
+    timestamp: Date
+  },
+  lastActivityAt: {
+    type: Date,
+    default: Date.now
+  }
 });
 
 // 비밀번호 해싱 미들웨어
@@ -62,5 +166,11 @@ RoomSchema.index({ participants: 1 }); // 참가자별 룸 조회용 (가장 빈
 RoomSchema.index({ createdAt: -1 }); // 최근 생성된 룸 조회용
 RoomSchema.index({ name: 1 }); // 룸 이름 검색용
 RoomSchema.index({ hasPassword: 1 }); // 비밀번호 유무별 필터링용
+RoomSchema.index({ lastActivityAt: -1 }); // 최근 활동순 정렬용
+RoomSchema.index({ visibility: 1, createdAt: -1 }); // 공개 목록 조회용
+RoomSchema.index({ directKey: 1 }, { unique: true, sparse: true }); // 참여자 조합별 DM 중복 방지
+RoomSchema.index({ isDirect: 1, participants: 1, lastActivityAt: -1 }); // 내 DM 목록 조회용
+RoomSchema.index({ 'roles.user': 1 }); // 역할 보유자 조회용
+RoomSchema.index({ 'bans.user': 1 }); // 입장 차단 여부 확인용
 
 module.exports = mongoose.model('Room', RoomSchema);
\ No newline at end of file
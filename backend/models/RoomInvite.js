@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// 채팅방 초대 링크 (비밀번호 없이 입장, 만료/사용 횟수 제한/회수 지원)
+const RoomInviteSchema = new mongoose.Schema({
+  token: {
+    type: String,
+    required: true,
+    unique: true,
+    default: () => crypto.randomBytes(24).toString('base64url')
+  },
+  room: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Room',
+    required: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  expiresAt: Date,
+  maxUses: {
+    type: Number,
+    min: 1
+  },
+  uses: {
+    type: Number,
+    default: 0
+  },
+  usedBy: [{
+    _id: false,
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    usedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  revokedAt: Date,
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+RoomInviteSchema.index({ room: 1, createdAt: -1 }); // 채팅방별 초대 목록 조회용
+
+// 사용 불가 사유 (사용 가능하면 null)
+RoomInviteSchema.methods.getInvalidReason = function() {
+  if (this.revokedAt) return '회수된 초대 링크입니다.';
+  if (this.expiresAt && this.expiresAt <= new Date()) return '만료된 초대 링크입니다.';
+  if (this.maxUses && this.uses >= this.maxUses) return '사용 횟수를 초과한 초대 링크입니다.';
+  return null;
+};
+
+module.exports = mongoose.model('RoomInvite', RoomInviteSchema);
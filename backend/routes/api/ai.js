@@ -0,0 +1,125 @@
+// backend/routes/api/ai.js
+const express = require('express');
+const router = express.Router();
+const auth = require('../../middleware/auth');
+const AiPersonaService = require('../../services/aiPersonaService');
+let io;
+
+// Socket.IO 초기화 함수
+const initializeSocket = (socketIO) => {
+  io = socketIO;
+};
+
+// 채팅방 페르소나 변경 시 참여자에게 알림 (멘션 자동완성 목록 갱신용, systemPrompt 제외)
+const emitPersonasUpdated = (persona, action) => {
+  if (io && persona.room) {
+    io.to(persona.room).emit('aiPersonasUpdated', {
+      roomId: persona.room,
+      action,
+      persona: {
+        ...persona,
+        systemPrompt: undefined
+      }
+    });
+  }
+};
+
+// 사용 가능한 페르소나 목록 (기본 제공 페르소나, roomId 지정 시 채팅방 페르소나 포함)
+router.get('/personas', auth, async (req, res) => {
+  try {
+    const roomId = req.query.roomId || null;
+    const personas = await AiPersonaService.listPersonas(req.user.id, roomId);
+
+    res.json({
+      success: true,
+      data: personas,
+      metadata: {
+        roomId,
+        total: personas.length
+      }
+    });
+  } catch (error) {
+    console.error('AI 페르소나 목록 조회 에러:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'AI 페르소나 목록을 불러오는데 실패했습니다.'
+    });
+  }
+});
+
+// 채팅방 전용 페르소나 생성 (roomId 필수, manageAiPersonas 권한 필요)
+router.post('/personas', auth, async (req, res) => {
+  try {
+    const persona = await AiPersonaService.createPersona(req.user.id, req.body);
+    emitPersonasUpdated(persona, 'created');
+
+    res.status(201).json({
+      success: true,
+      data: persona
+    });
+  } catch (error) {
+    console.error('AI 페르소나 생성 에러:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'AI 페르소나 생성에 실패했습니다.'
+    });
+  }
+});
+
+router.get('/personas/:personaId', auth, async (req, res) => {
+  try {
+    const persona = await AiPersonaService.getPersona(req.params.personaId, req.user.id);
+
+    res.json({
+      success: true,
+      data: persona
+    });
+  } catch (error) {
+    console.error('AI 페르소나 조회 에러:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'AI 페르소나를 불러오는데 실패했습니다.'
+    });
+  }
+});
+
+router.put('/personas/:personaId', auth, async (req, res) => {
+  try {
+    const persona = await AiPersonaService.updatePersona(req.params.personaId, req.user.id, req.body);
+    emitPersonasUpdated(persona, 'updated');
+
+    res.json({
+      success: true,
+      data: persona
+    });
+  } catch (error) {
+    console.error('AI 페르소나 수정 에러:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'AI 페르소나 수정에 실패했습니다.'
+    });
+  }
+});
+
+router.delete('/personas/:personaId', auth, async (req, res) => {
+  try {
+    const persona = await AiPersonaService.deletePersona(req.params.personaId, req.user.id);
+    emitPersonasUpdated(persona, 'deleted');
+
+    res.json({
+      success: true,
+      message: 'AI 페르소나가 삭제되었습니다.'
+    });
+  } catch (error) {
+    console.error('AI 페르소나 삭제 에러:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'AI 페르소나 삭제에 실패했습니다.'
+    });
+  }
+});
+
+module.exports = {
+  router,
+  initializeSocket
+};
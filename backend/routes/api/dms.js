@@ -0,0 +1,137 @@
+// backend/routes/api/dms.js
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const auth = require('../../middleware/auth');
+const Room = require('../../models/Room');
+const User = require('../../models/User');
+const RoomService = require('../../services/roomService');
+let io;
+
+// Socket.IO 초기화 함수
+const initializeSocket = (socketIO) => {
+  io = socketIO;
+};
+
+// 내 DM 목록 조회 (최근 활동순)
+router.get('/', auth, async (req, res) => {
+  try {
+    const page = Math.max(0, parseInt(req.query.page) || 0);
+    const pageSize = Math.min(Math.max(1, parseInt(req.query.pageSize) || 20), 50);
+    const filter = { isDirect: true, participants: req.user.id };
+
+    const [totalCount, rooms] = await Promise.all([
+      Room.countDocuments(filter),
+      Room.find(filter)
+        .sort({ lastActivityAt: -1, _id: -1 })
+        .skip(page * pageSize)
+        .limit(pageSize)
+        .populate('participants', 'name email profileImage')
+        .lean()
+    ]);
+
+    const dms = rooms.map(room => ({
+      ...RoomService.toRoomListItem(room),
+      participants: room.participants,
+      isGroup: room.participants.length > 2
+    }));
+
+    res.json({
+      success: true,
+      data: await RoomService.applyUserRoomState(dms, req.user.id),
+      metadata: {
+        total: totalCount,
+        page,
+        pageSize,
+        totalPages: Math.ceil(totalCount / pageSize),
+        hasMore: (page + 1) * pageSize < totalCount,
+        currentCount: dms.length
+      }
+    });
+  } catch (error) {
+    console.error('DM 목록 조회 에러:', error);
+    res.status(500).json({
+      success: false,
+      message: 'DM 목록을 불러오는데 실패했습니다.'
+    });
+  }
+});
+
+// DM 시작 (1:1 또는 그룹, 같은 참여자 조합이면 기존 DM 반환)
+router.post('/', auth, async (req, res) => {
+  try {
+    const { userIds } = req.body;
+
+    if (!Array.isArray(userIds) || userIds.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: '대화 상대를 선택해주세요.'
+      });
+    }
+
+    const otherUserIds = [...new Set(userIds.map(String))]
+      .filter(id => id !== req.user.id);
+
+    if (otherUserIds.length === 0 || !otherUserIds.every(id => mongoose.isValidObjectId(id))) {
+      return res.status(400).json({
+        success: false,
+        message: '잘못된 사용자 ID입니다.'
+      });
+    }
+
+    if (otherUserIds.length + 1 > RoomService.MAX_DIRECT_PARTICIPANTS) {
+      return res.status(400).json({
+        success: false,
+        message: `DM 참여자는 최대 ${RoomService.MAX_DIRECT_PARTICIPANTS}명입니다.`
+      });
+    }
+
+    const users = await User.find({ _id: { $in: [req.user.id, ...otherUserIds] } })
+      .select('name')
+      .lean();
+
+    if (users.length !== otherUserIds.length + 1) {
+      return res.status(404).json({
+        success: false,
+        message: '사용자를 찾을 수 없습니다.'
+      });
+    }
+
+    const { room, created } = await RoomService.findOrCreateDirectRoom(
+      req.user.id,
+      otherUserIds,
+      users
+    );
+    const populatedRoom = await room.populate('participants', 'name email profileImage');
+    const data = {
+      ...populatedRoom.toObject(),
+      password: undefined
+    };
+
+    // 새 DM이면 상대방들에게 개인 채널로 알림
+    if (created && io) {
+      for (const userId of otherUserIds) {
+        io.to(`user:${userId}`).emit('dmCreated', data);
+      }
+    }
+
+    res.status(created ? 201 : 200).json({
+      success: true,
+      data,
+      metadata: {
+        created
+      }
+    });
+  } catch (error) {
+    console.error('DM 생성 에러:', error);
+    res.status(500).json({
+      success: false,
+      message: 'DM을 시작하는 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+module.exports = {
+  router,
+  initializeSocket
+};
@@ -0,0 +1,10 @@
+// backend/routes/api/messages.js
+const express = require('express');
+const router = express.Router();
+const auth = require('../../middleware/auth');
+const messageController = require('../../controllers/messageController');
+
+// 참여 중인 채팅방 전체 메시지 검색
+router.get('/search', auth, messageController.searchMessages);
+
+module.exports = router;
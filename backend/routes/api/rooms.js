@@ -1,12 +1,18 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
 const auth = require('../../middleware/auth');
 const Room = require('../../models/Room');
 const User = require('../../models/User');
 const { rateLimit } = require('express-rate-limit');
 const redisClient = require('../../utils/redisClient');
+const MessageService = require('../../services/messageService');
+const RoomService = require('../../services/roomService');
+const PresenceService = require('../../services/presenceService');
+const ModerationService = require('../../services/moderationService');
+const InviteService = require('../../services/inviteService');
+const messageController = require('../../controllers/messageController');
 let io;
-const ROOM_LIST_TTL = 30; // 30 seconds - much shorter for immediate updates
 
 // 속도 제한 설정
 const limiter = rateLimit({
@@ -28,28 +34,6 @@ const initializeSocket = (socketIO) => {
   io = socketIO;
 };
 
-// Utility function to add a cache key to the set
-async function addRoomListCacheKey(key) {
-  try {
-    await redisClient.setOps.sadd('room:list:{all}:keys', key);
-  } catch (err) {
-    console.error('Failed to add cache key to set:', err);
-  }
-}
-
-// Utility function to invalidate all room list cache keys
-async function invalidateRoomListCache() {
-  try {
-    const keys = await redisClient.setOps.smembers('room:list:{all}:keys');
-    if (keys && keys.length > 0) {
-      await redisClient.del(...keys);
-      await redisClient.del('room:list:{all}:keys');
-    }
-  } catch (err) {
-    console.error('Failed to invalidate room list cache:', err);
-  }
-}
-
 // 서버 상태 확인
 router.get('/health', async (req, res) => {
   try {
@@ -105,22 +89,34 @@ router.get('/', [limiter, auth], async (req, res) => {
     const skip = page * pageSize;
 
     // 정렬 설정
-    const allowedSortFields = ['createdAt', 'name', 'participantsCount'];
+    const allowedSortFields = ['createdAt', 'name', 'participantsCount', 'lastActivity'];
     const sortField = allowedSortFields.includes(req.query.sortField) 
       ? req.query.sortField 
       : 'createdAt';
+    // lastActivity는 저장 필드명(lastActivityAt)으로 정렬
+    const sortKey = sortField === 'lastActivity' ? 'lastActivityAt' : sortField;
     const sortOrder = ['asc', 'desc'].includes(req.query.sortOrder)
       ? req.query.sortOrder
       : 'desc';
 
-    // 검색 필터 구성
-    const filter = {};
+    // 조회 범위: public(공개 방, 기본값) / joined(내가 참여 중인 방, unlisted/private 포함)
+    const scope = req.query.scope === 'joined' ? 'joined' : 'public';
+
+    // 검색 필터 구성 (DM은 목록에서 제외, GET /api/dms로 조회)
+    const filter = { isDirect: { $ne: true } };
+    if (scope === 'joined') {
+      filter.participants = new mongoose.Types.ObjectId(req.user.id);
+    } else {
+      // visibility 필드 추가 전 생성된 방은 public으로 취급
+      filter.visibility = { $nin: ['unlisted', 'private'] };
+    }
     if (req.query.search) {
       filter.name = { $regex: req.query.search, $options: 'i' };
     }
 
-    // Check cache FIRST before database query
-    const cacheKey = `room:list:${page}:${pageSize}:${sortField}:${sortOrder}:${req.query.search || ''}`;
+    // Check cache FIRST before database query (joined 범위는 사용자별 캐시)
+    const scopeKey = scope === 'joined' ? `joined:${req.user.id}` : 'public';
+    const cacheKey = `room:list:${scopeKey}:${page}:${pageSize}:${sortField}:${sortOrder}:${req.query.search || ''}`;
     const cached = await redisClient.get(cacheKey);
     if (cached) {
       console.log('캐시 HIT', cacheKey);
@@ -128,7 +124,11 @@ router.get('/', [limiter, auth], async (req, res) => {
         'Cache-Control': 'private, max-age=10',
         'Last-Modified': new Date().toUTCString()
       });
-      return res.json(cached);
+      // 캐시는 사용자 공통 데이터만 보관하므로 사용자별 상태(안 읽은 수 등)는 매번 계산
+      return res.json({
+        ...cached,
+        data: await RoomService.applyUserRoomState(cached.data, req.user.id)
+      });
     }
     console.log('캐시 MISS', cacheKey);
 
@@ -149,44 +149,34 @@ router.get('/', [limiter, auth], async (req, res) => {
         {
           $addFields: {
             creator: { $arrayElemAt: ['$creator', 0] },
-            participantsCount: { $size: '$participants' }
+            participantsCount: { $size: '$participants' },
+            // 필드 추가 전 생성된 방은 생성 시각을 마지막 활동 시각으로 사용
+            lastActivityAt: { $ifNull: ['$lastActivityAt', '$createdAt'] }
           }
         },
-        { $sort: { [sortField]: sortOrder === 'desc' ? -1 : 1 } },
+        { $sort: { [sortKey]: sortOrder === 'desc' ? -1 : 1, _id: -1 } },
         { $skip: skip },
         { $limit: pageSize },
         {
           $project: {
             name: 1,
+            description: 1,
+            visibility: 1,
             creator: 1,
             createdAt: 1,
             hasPassword: 1,
-            participantsCount: 1
+            participantsCount: 1,
+            lastMessage: 1,
+            lastActivityAt: 1
           }
         }
       ])
     ]);
 
     // 안전한 응답 데이터 구성 - Aggregation 결과 사용
-    const safeRooms = rooms.map(room => {
-      if (!room) return null;
-
-      const creator = room.creator || { _id: 'unknown', name: '알 수 없음', email: '' };
-
-      return {
-        _id: room._id?.toString() || 'unknown',
-        name: room.name || '제목 없음',
-        hasPassword: !!room.hasPassword,
-        creator: {
-          _id: creator._id?.toString() || 'unknown',
-          name: creator.name || '알 수 없음',
-          email: creator.email || ''
-        },
-        participantsCount: room.participantsCount || 0,
-        createdAt: room.createdAt || new Date(),
-        isCreator: creator._id?.toString() === req.user.id,
-      };
-    }).filter(room => room !== null);
+    const safeRooms = rooms
+      .filter(room => !!room)
+      .map(room => RoomService.toRoomListItem(room));
 
     // 메타데이터 계산    
     const totalPages = Math.ceil(totalCount / pageSize);
@@ -210,13 +200,16 @@ router.get('/', [limiter, auth], async (req, res) => {
         }
       }
     };
-    await redisClient.setEx(cacheKey, ROOM_LIST_TTL, JSON.stringify(response));
-    await addRoomListCacheKey(cacheKey);
+    await redisClient.setEx(cacheKey, RoomService.ROOM_LIST_TTL, JSON.stringify(response));
+    await RoomService.addRoomListCacheKey(cacheKey);
     res.set({
       'Cache-Control': 'private, max-age=10',
       'Last-Modified': new Date().toUTCString()
     });
-    res.json(response);
+    res.json({
+      ...response,
+      data: await RoomService.applyUserRoomState(safeRooms, req.user.id)
+    });
 
   } catch (error) {
     console.error('방 목록 조회 에러:', error);
@@ -240,7 +233,7 @@ router.get('/', [limiter, auth], async (req, res) => {
 // 채팅방 생성
 router.post('/', auth, async (req, res) => {
   try {
-    const { name, password } = req.body;
+    const { name, description, password, visibility = 'public' } = req.body;
     
     if (!name?.trim()) {
       return res.status(400).json({ 
@@ -249,8 +242,17 @@ router.post('/', auth, async (req, res) => {
       });
     }
 
+    if (!RoomService.VISIBILITIES.includes(visibility)) {
+      return res.status(400).json({
+        success: false,
+        message: `공개 범위는 ${RoomService.VISIBILITIES.join(', ')} 중 하나여야 합니다.`
+      });
+    }
+
     const newRoom = new Room({
       name: name.trim(),
+      description: description?.trim() || '',
+      visibility,
       creator: req.user.id,
       participants: [req.user.id],
       password: password
@@ -265,12 +267,13 @@ router.post('/', auth, async (req, res) => {
     console.log('Room populated successfully:', populatedRoom._id);
     
     // roomList 캐시 무효화 (cluster-safe)
-    await invalidateRoomListCache();
+    await RoomService.invalidateRoomListCache();
     
-    // Socket.IO를 통해 새 채팅방 생성 알림
-    if (io) {
-      io.to('room-list').emit('roomCreated', {
+    // Socket.IO를 통해 새 채팅방 생성 알림 (공개 방만)
+    if (RoomService.isListed(populatedRoom)) {
+      RoomService.emitRoomList(io, 'roomCreated', {
         ...populatedRoom.toObject(),
+        ...RoomService.toRoomListItem(populatedRoom.toObject()),
         password: undefined
       });
     }
@@ -292,6 +295,40 @@ router.post('/', auth, async (req, res) => {
   }
 });
 
+// 초대 링크로 입장 (비밀번호 없이 참여)
+router.post('/join-by-invite/:token', auth, async (req, res) => {
+  try {
+    const { room, joined } = await InviteService.joinByInvite(req.params.token, req.user.id);
+    const populatedRoom = await room.populate([
+      { path: 'creator', select: 'name email' },
+      { path: 'participants', select: 'name email' }
+    ]);
+    const data = RoomService.toRoomDetail(populatedRoom.toObject());
+
+    // Socket.IO를 통해 참여자 업데이트 알림
+    if (joined) {
+      if (io) {
+        io.to(room._id.toString()).emit('roomUpdate', data);
+      }
+      RoomService.emitParticipantsCount(io, room);
+    }
+
+    res.json({
+      success: true,
+      data,
+      metadata: {
+        joined
+      }
+    });
+  } catch (error) {
+    console.error('초대 링크 입장 에러:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : '초대 링크로 입장하는 중 오류가 발생했습니다.'
+    });
+  }
+});
+
 // 특정 채팅방 조회
 router.get('/:roomId', auth, async (req, res) => {
   try {
@@ -306,12 +343,24 @@ router.get('/:roomId', auth, async (req, res) => {
       });
     }
 
+    // 참여자가 아닌 경우: DM/비공개 방은 존재를 숨기고, 그 외에는 참여자 목록 없이 요약 정보만 제공
+    if (!RoomService.getRole(room, req.user.id)) {
+      if (room.isDirect || room.visibility === 'private') {
+        return res.status(404).json({
+          success: false,
+          message: '채팅방을 찾을 수 없습니다.'
+        });
+      }
+
+      return res.json({
+        success: true,
+        data: RoomService.toPublicRoomInfo(room.toObject())
+      });
+    }
+
     res.json({
       success: true,
-      data: {
-        ...room.toObject(),
-        password: undefined
-      }
+      data: RoomService.toRoomDetail(room.toObject())
     });
   } catch (error) {
     console.error('Room fetch error:', error);
@@ -322,6 +371,97 @@ router.get('/:roomId', auth, async (req, res) => {
   }
 });
 
+// 채팅방 정보 수정 (이름, 설명, 비밀번호 변경/제거, 공개 범위)
+router.put('/:roomId', auth, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.roomId)) {
+      return res.status(400).json({
+        success: false,
+        message: '잘못된 채팅방 ID입니다.'
+      });
+    }
+
+    const { name, description, password, removePassword, visibility } = req.body;
+    const previous = await Room.findById(req.params.roomId).select('visibility isDirect').lean();
+    const room = await RoomService.updateRoom(req.params.roomId, req.user.id, {
+      name,
+      description,
+      password,
+      removePassword,
+      visibility
+    });
+
+    const populatedRoom = await room.populate([
+      { path: 'creator', select: 'name email' },
+      { path: 'participants', select: 'name email' }
+    ]);
+    const data = RoomService.toRoomDetail(populatedRoom.toObject());
+
+    // Socket.IO를 통해 채팅방 정보 변경 알림 (채팅방 + 로비)
+    if (io) {
+      io.to(req.params.roomId).emit('roomUpdate', data);
+    }
+    if (RoomService.isListed(populatedRoom)) {
+      RoomService.emitRoomList(
+        io,
+        RoomService.isListed(previous) ? 'roomUpdated' : 'roomCreated',
+        RoomService.toRoomListItem(populatedRoom.toObject())
+      );
+    } else if (RoomService.isListed(previous)) {
+      // 공개 범위가 좁아진 경우 로비 목록에서 제거
+      RoomService.emitRoomList(io, 'roomDeleted', { _id: req.params.roomId });
+    }
+
+    res.json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    console.error('방 수정 에러:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : '채팅방 수정 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+// 채팅방 삭제 (방장 전용, 메시지/첨부 파일/캐시까지 정리)
+router.delete('/:roomId', auth, async (req, res) => {
+  try {
+    const room = await RoomService.deleteRoom(req.params.roomId, req.user.id);
+    const roomId = room._id.toString();
+    const payload = {
+      roomId,
+      roomName: room.name,
+      deletedBy: req.user.id,
+      timestamp: new Date()
+    };
+
+    // 남아있는 연결(다른 pod 포함)에 알린 뒤 Socket.IO 방에서 내보냄
+    if (io) {
+      io.to(roomId).emit('roomDeleted', payload);
+      io.in(roomId).socketsLeave(roomId);
+    }
+    RoomService.emitRoomList(io, 'roomDeleted', { _id: roomId });
+
+    const result = await MessageService.deleteRoomMessages(roomId);
+
+    res.json({
+      success: true,
+      data: {
+        ...payload,
+        ...result
+      }
+    });
+  } catch (error) {
+    console.error('방 삭제 에러:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : '채팅방 삭제 중 오류가 발생했습니다.'
+    });
+  }
+});
+
 // 채팅방 입장
 router.post('/:roomId/join', auth, async (req, res) => {
   try {
@@ -335,6 +475,30 @@ router.post('/:roomId/join', auth, async (req, res) => {
       });
     }
 
+    // DM은 참여자 구성이 고정되어 있어 새로 참여할 수 없음
+    if (room.isDirect && !RoomService.getRole(room, req.user.id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'DM에는 참여할 수 없습니다.'
+      });
+    }
+
+    // 비공개 방은 초대 링크로만 새로 참여 가능
+    if (room.visibility === 'private' && !RoomService.getRole(room, req.user.id)) {
+      return res.status(403).json({
+        success: false,
+        message: '비공개 채팅방은 초대를 통해서만 참여할 수 있습니다.'
+      });
+    }
+
+    // 입장 차단 여부 확인
+    if (ModerationService.getActiveBan(room, req.user.id)) {
+      return res.status(403).json({
+        success: false,
+        message: '입장이 차단된 채팅방입니다.'
+      });
+    }
+
     // 비밀번호 확인
     if (room.hasPassword) {
       const isPasswordValid = await room.checkPassword(password);
@@ -351,25 +515,21 @@ router.post('/:roomId/join', auth, async (req, res) => {
       room.participants.push(req.user.id);
       await room.save();
       // roomList 캐시 무효화 (cluster-safe)
-      await invalidateRoomListCache();
+      await RoomService.invalidateRoomListCache();
+      RoomService.emitParticipantsCount(io, room);
     }
 
     const populatedRoom = await room.populate('participants', 'name email');
 
     // Socket.IO를 통해 참여자 업데이트 알림
+    const data = RoomService.toRoomDetail(populatedRoom.toObject());
     if (io) {
-      io.to(req.params.roomId).emit('roomUpdate', {
-        ...populatedRoom.toObject(),
-        password: undefined
-      });
+      io.to(req.params.roomId).emit('roomUpdate', data);
     }
 
     res.json({
       success: true,
-      data: {
-        ...populatedRoom.toObject(),
-        password: undefined
-      }
+      data
     });
   } catch (error) {
     console.error('방 입장 에러:', error);
@@ -381,6 +541,370 @@ router.post('/:roomId/join', auth, async (req, res) => {
   }
 });
 
+// 채팅방 실시간 접속자 조회 (멤버십과 별개)
+router.get('/:roomId/presence', auth, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.roomId)) {
+      return res.status(400).json({
+        success: false,
+        message: '잘못된 채팅방 ID입니다.'
+      });
+    }
+
+    const room = await Room.findOne({
+      _id: req.params.roomId,
+      participants: req.user.id
+    }).select('_id').lean();
+
+    if (!room) {
+      return res.status(403).json({
+        success: false,
+        message: '채팅방 접근 권한이 없습니다.'
+      });
+    }
+
+    const onlineUserIds = await PresenceService.getOnlineUserIds(req.params.roomId);
+    const users = onlineUserIds.length > 0
+      ? await User.find({ _id: { $in: onlineUserIds } })
+        .select('name email profileImage')
+        .lean()
+      : [];
+
+    res.json({
+      success: true,
+      data: {
+        roomId: req.params.roomId,
+        online: users,
+        onlineCount: users.length
+      }
+    });
+  } catch (error) {
+    console.error('Presence fetch error:', error);
+    res.status(500).json({
+      success: false,
+      message: '접속자 정보를 불러오는데 실패했습니다.'
+    });
+  }
+});
+
+// 채팅방 메시지 히스토리 조회
+router.get('/:roomId/messages', auth, messageController.loadMessages);
+
+// 고정 메시지 목록 조회
+router.get('/:roomId/pins', auth, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.roomId)) {
+      return res.status(400).json({
+        success: false,
+        message: '잘못된 채팅방 ID입니다.'
+      });
+    }
+
+    const room = await Room.findOne({
+      _id: req.params.roomId,
+      participants: req.user.id
+    }).select('_id').lean();
+
+    if (!room) {
+      return res.status(403).json({
+        success: false,
+        message: '채팅방 접근 권한이 없습니다.'
+      });
+    }
+
+    const pins = await MessageService.getPinnedMessages(room._id);
+
+    res.json({
+      success: true,
+      data: pins,
+      metadata: {
+        currentCount: pins.length,
+        maxCount: MessageService.MAX_PINNED_MESSAGES
+      }
+    });
+  } catch (error) {
+    console.error('Pinned messages fetch error:', error);
+    res.status(500).json({
+      success: false,
+      message: '고정 메시지를 불러오는데 실패했습니다.'
+    });
+  }
+});
+
+// 채팅방 메시지 검색
+router.get('/:roomId/messages/search', auth, messageController.searchRoomMessages);
+
+// 메시지 수정 (참여 중이고 채팅 금지 상태가 아닌 발신자 본인, 텍스트 메시지만)
+router.put('/:roomId/messages/:messageId', auth, async (req, res) => {
+  try {
+    const { message, changed } = await MessageService.editMessage(
+      req.params.messageId,
+      req.user.id,
+      req.body.content,
+      req.params.roomId
+    );
+    const update = MessageService.toEditUpdate(message);
+
+    // Socket.IO를 통해 수정 알림
+    if (changed && io) {
+      io.to(req.params.roomId).emit('messageEdited', update);
+    }
+
+    res.json({
+      success: true,
+      data: update
+    });
+  } catch (error) {
+    console.error('메시지 수정 에러:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : '메시지 수정 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+// 메시지 삭제 (발신자 본인 또는 deleteMessages 권한이 있는 상위 역할)
+router.delete('/:roomId/messages/:messageId', auth, async (req, res) => {
+  try {
+    const { message, threadUpdate } = await MessageService.deleteMessage(
+      req.params.messageId,
+      req.user.id,
+      req.params.roomId
+    );
+    const tombstone = MessageService.toTombstone(message);
+
+    // Socket.IO를 통해 삭제 알림
+    if (io) {
+      io.to(req.params.roomId).emit('messageDeleted', tombstone);
+      if (threadUpdate) {
+        io.to(req.params.roomId).emit('threadUpdated', threadUpdate);
+      }
+      if (message.pinnedAt) {
+        io.to(req.params.roomId).emit(
+          'pinsUpdated',
+          await MessageService.toPinsUpdate(message, req.user.id, 'unpinned')
+        );
+      }
+    }
+
+    res.json({
+      success: true,
+      data: tombstone
+    });
+  } catch (error) {
+    console.error('메시지 삭제 에러:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : '메시지 삭제 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+// 채팅방 참여자 역할 목록 조회
+router.get('/:roomId/roles', auth, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.roomId)) {
+      return res.status(400).json({
+        success: false,
+        message: '잘못된 채팅방 ID입니다.'
+      });
+    }
+
+    const room = await Room.findOne({
+      _id: req.params.roomId,
+      participants: req.user.id
+    })
+      .select('creator participants roles')
+      .populate('participants', 'name email profileImage')
+      .lean();
+
+    if (!room) {
+      return res.status(403).json({
+        success: false,
+        message: '채팅방 접근 권한이 없습니다.'
+      });
+    }
+
+    const myRole = RoomService.getRole(room, req.user.id);
+
+    res.json({
+      success: true,
+      data: {
+        roomId: req.params.roomId,
+        myRole,
+        permissions: RoomService.getPermissions(room, req.user.id),
+        roles: RoomService.toRoleList(room)
+      }
+    });
+  } catch (error) {
+    console.error('Room roles fetch error:', error);
+    res.status(500).json({
+      success: false,
+      message: '역할 정보를 불러오는데 실패했습니다.'
+    });
+  }
+});
+
+// 역할 부여/회수 공통 처리
+const updateRole = async (req, res, role) => {
+  try {
+    const result = await RoomService.assignRole(
+      req.params.roomId,
+      req.user.id,
+      req.params.userId,
+      role
+    );
+
+    // Socket.IO를 통해 역할 변경 알림
+    if (io) {
+      io.to(req.params.roomId).emit('roleUpdated', result);
+    }
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    console.error('역할 변경 에러:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : '역할 변경 중 오류가 발생했습니다.'
+    });
+  }
+};
+
+// 역할 부여 (admin, moderator, member)
+router.put('/:roomId/roles/:userId', auth, (req, res) => updateRole(req, res, req.body.role));
+
+// 역할 회수 (member로 변경)
+router.delete('/:roomId/roles/:userId', auth, (req, res) => updateRole(req, res, 'member'));
+
+// 관리 조치 공통 처리 (kick, ban, unban, mute, unmute)
+const moderate = (action, errorMessage) => async (req, res) => {
+  try {
+    const result = await ModerationService[action](
+      io,
+      req.params.roomId,
+      req.user.id,
+      req.params.userId,
+      {
+        reason: req.body?.reason?.trim() || undefined,
+        duration: req.body?.duration
+      }
+    );
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    console.error(`채팅방 관리 조치 에러 (${action}):`, error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : errorMessage
+    });
+  }
+};
+
+// 강퇴 (즉시 퇴장, 재입장 가능)
+router.post('/:roomId/kick/:userId', auth, moderate('kick', '강퇴 중 오류가 발생했습니다.'));
+
+// 입장 차단 (duration: 초 단위, 생략 시 해제 전까지)
+router.post('/:roomId/bans/:userId', auth, moderate('ban', '입장 차단 중 오류가 발생했습니다.'));
+router.delete('/:roomId/bans/:userId', auth, moderate('unban', '입장 차단 해제 중 오류가 발생했습니다.'));
+
+// 채팅 금지 (duration: 초 단위, 생략 시 해제 전까지)
+router.post('/:roomId/mutes/:userId', auth, moderate('mute', '채팅 금지 중 오류가 발생했습니다.'));
+router.delete('/:roomId/mutes/:userId', auth, moderate('unmute', '채팅 금지 해제 중 오류가 발생했습니다.'));
+
+// 초대 링크 발급 (expiresIn: 초 단위, maxUses: 최대 사용 횟수)
+router.post('/:roomId/invites', auth, async (req, res) => {
+  try {
+    const invite = await InviteService.createInvite(req.params.roomId, req.user.id, {
+      expiresIn: req.body.expiresIn,
+      maxUses: req.body.maxUses
+    });
+
+    res.status(201).json({
+      success: true,
+      data: invite
+    });
+  } catch (error) {
+    console.error('초대 링크 발급 에러:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : '초대 링크 발급 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+// 초대 링크 목록 및 사용 내역 조회
+router.get('/:roomId/invites', auth, async (req, res) => {
+  try {
+    const invites = await InviteService.listInvites(req.params.roomId, req.user.id);
+
+    res.json({
+      success: true,
+      data: invites,
+      metadata: {
+        currentCount: invites.length
+      }
+    });
+  } catch (error) {
+    console.error('초대 링크 목록 조회 에러:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : '초대 링크 목록을 불러오는데 실패했습니다.'
+    });
+  }
+});
+
+// 초대 링크 회수
+router.delete('/:roomId/invites/:inviteId', auth, async (req, res) => {
+  try {
+    const invite = await InviteService.revokeInvite(
+      req.params.roomId,
+      req.user.id,
+      req.params.inviteId
+    );
+
+    res.json({
+      success: true,
+      data: invite
+    });
+  } catch (error) {
+    console.error('초대 링크 회수 에러:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : '초대 링크 회수 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+// 입장 차단 / 채팅 금지 목록 조회
+const listModeration = (type) => async (req, res) => {
+  try {
+    const entries = await ModerationService.listActive(req.params.roomId, req.user.id, type);
+
+    res.json({
+      success: true,
+      data: entries,
+      metadata: {
+        currentCount: entries.length
+      }
+    });
+  } catch (error) {
+    console.error(`채팅방 관리 목록 조회 에러 (${type}):`, error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : '목록을 불러오는데 실패했습니다.'
+    });
+  }
+};
+
+router.get('/:roomId/bans', auth, listModeration('bans'));
+router.get('/:roomId/mutes', auth, listModeration('mutes'));
+
 module.exports = {
   router,
   initializeSocket
@@ -49,6 +49,9 @@ router.delete('/account',
 // 멘션용 사용자 목록 조회
 router.get('/mentionable-users', auth, userController.mentionableUsers);
 
+// 나를 멘션한 메시지 목록 조회
+router.get('/me/mentions', auth, userController.myMentions);
+
 // API 상태 확인
 router.get('/status', (req, res) => {
   res.json({
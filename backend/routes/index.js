@@ -6,6 +6,9 @@ const authRoutes = require('./api/auth');
 const userRoutes = require('./api/users');
 const { router: roomsRouter } = require('./api/rooms');
 const fileRoutes = require('./api/files');
+const messageRoutes = require('./api/messages');
+const { router: dmRouter } = require('./api/dms');
+const { router: aiRouter } = require('./api/ai');
 
 // API documentation route
 router.get('/', (req, res) => {
@@ -27,6 +30,8 @@ router.get('/', (req, res) => {
       users: '/users',
       rooms: '/rooms',
       files: '/files',
+      messages: '/messages',
+      dms: '/dms',
       ai: '/ai'
     }
   });
@@ -37,5 +42,8 @@ router.use('/auth', authRoutes);
 router.use('/users', userRoutes);
 router.use('/rooms', roomsRouter);  // roomsRouter로 변경
 router.use('/files', fileRoutes);
+router.use('/messages', messageRoutes);
+router.use('/dms', dmRouter);
+router.use('/ai', aiRouter);
 
 module.exports = router;
\ No newline at end of file
@@ -6,6 +6,9 @@ const http = require('http');
 const socketIO = require('socket.io');
 const path = require('path');
 const { router: roomsRouter, initializeSocket } = require('./routes/api/rooms');
+const { initializeSocket: initializeDmSocket } = require('./routes/api/dms');
+const { initializeSocket: initializeAiSocket } = require('./routes/api/ai');
+const AiPersonaService = require('./services/aiPersonaService');
 const routes = require('./routes');
 
 const app = express();
@@ -133,6 +136,8 @@ require('./sockets/chat')(io);
 
 // Socket.IO 객체 전달
 initializeSocket(io);
+initializeDmSocket(io);
+initializeAiSocket(io);
 
 // 404 에러 핸들러
 app.use((req, res) => {
@@ -168,9 +173,12 @@ const mongooseOptions = {
 
 // 서버 시작
 mongoose.connect(process.env.MONGO_URI, mongooseOptions)
-  .then(() => {
+  .then(async () => {
     console.log('MongoDB Connected with load testing optimizations');
     console.log(`Connection pool: max=${mongooseOptions.maxPoolSize}, min=${mongooseOptions.minPoolSize}`);
+
+    // 기본 AI 페르소나(wayneAI, consultingAI) 생성
+    await AiPersonaService.ensureDefaultPersonas();
     
     server.listen(PORT, '0.0.0.0', () => {
       console.log(`Server running on port ${PORT}`);
@@ -0,0 +1,332 @@
+const mongoose = require('mongoose');
+const AiPersona = require('../models/AiPersona');
+const Room = require('../models/Room');
+const RoomService = require('./roomService');
+const { providerNames } = require('./aiProviders');
+const { aiProvider } = require('../config/keys');
+const redisClient = require('../utils/redisClient');
+
+// AI 페르소나 조회/관리 (멘션 감지, aiType 검증, 응답 생성 모두 이 목록 기준)
+// 전역(room: null) 페르소나는 서버가 관리하는 기본 제공 페르소나뿐이며, 사용자는 채팅방 전용 페르소나만 생성 가능
+class AiPersonaService {
+  static CACHE_TTL = 5 * 60; // 5 minutes
+  static CACHE_PREFIX = 'ai:personas:';
+  static EDITABLE_FIELDS = ['name', 'handle', 'systemPrompt', 'provider', 'model', 'temperature', 'avatar'];
+
+  // 기본 제공 페르소나 (기존 wayneAI/consultingAI, 제공자/모델은 환경 변수로 지정)
+  static DEFAULT_PERSONAS = [
+    {
+      handle: 'wayneAI',
+      name: 'Wayne AI',
+      role: '친절하고 도움이 되는 어시스턴트',
+      traits: '전문적이고 통찰력 있는 답변을 제공하며, 사용자의 질문을 깊이 이해하고 명확한 설명을 제공합니다.',
+      tone: '전문적이면서도 친근한 톤',
+      provider: process.env.WAYNE_AI_PROVIDER,
+      model: process.env.WAYNE_AI_MODEL
+    },
+    {
+      handle: 'consultingAI',
+      name: 'Consulting AI',
+      role: '비즈니스 컨설팅 전문가',
+      traits: '비즈니스 전략, 시장 분석, 조직 관리에 대한 전문적인 조언을 제공합니다.',
+      tone: '전문적이고 분석적인 톤',
+      provider: process.env.CONSULTING_AI_PROVIDER,
+      model: process.env.CONSULTING_AI_MODEL
+    }
+  ];
+
+  static buildDefaultPrompt({ name, role, traits, tone }) {
+    return `당신은 ${name}입니다.
+역할: ${role}
+특성: ${traits}
+톤: ${tone}
+
+답변 시 주의사항:
+1. 명확하고 이해하기 쉬운 언어로 답변하세요.
+2. 정확하지 않은 정보는 제공하지 마세요.
+3. 필요한 경우 예시를 들어 설명하세요.
+4. ${tone}을 유지하세요.`;
+  }
+
+  // 서버 시작 시 기본 페르소나가 없으면 생성 (제공자/모델은 매 시작 시 환경 변수 값으로 갱신)
+  static async ensureDefaultPersonas() {
+    for (const persona of this.DEFAULT_PERSONAS) {
+      let provider = persona.provider || null;
+      if (provider && !providerNames.includes(provider)) {
+        console.warn(`[AI] ${persona.handle}: 지원하지 않는 AI 제공자(${provider})는 무시하고 기본 제공자를 사용합니다.`);
+        provider = null;
+      }
+
+      await AiPersona.updateOne(
+        { handle: persona.handle, room: null },
+        {
+          $set: {
+            provider,
+            model: persona.model || null
+          },
+          $setOnInsert: {
+            name: persona.name,
+            handle: persona.handle,
+            systemPrompt: this.buildDefaultPrompt(persona),
+            temperature: 0.7,
+            room: null
+          }
+        },
+        { upsert: true }
+      );
+    }
+    await this.invalidateCache(null);
+  }
+
+  static getCacheKey(roomId) {
+    return `${this.CACHE_PREFIX}${roomId ? `room:${roomId}` : 'global'}`;
+  }
+
+  static async invalidateCache(roomId) {
+    await redisClient.del(this.getCacheKey(roomId));
+  }
+
+  // 범위별 페르소나 목록 (Redis 캐시)
+  static async getScopedPersonas(roomId) {
+    const cacheKey = this.getCacheKey(roomId);
+    const cached = await redisClient.get(cacheKey);
+    if (Array.isArray(cached)) return cached;
+
+    const personas = await AiPersona.find({ room: roomId ? roomId.toString() : null })
+      .sort({ createdAt: 1 })
+      .lean();
+    await redisClient.setEx(cacheKey, this.CACHE_TTL, JSON.stringify(personas));
+    return personas;
+  }
+
+  // 채팅방에서 사용 가능한 페르소나 (전역 + 채팅방, 핸들은 두 범위에 걸쳐 중복되지 않음)
+  static async getPersonasForRoom(roomId) {
+    const [globalPersonas, roomPersonas] = await Promise.all([
+      this.getScopedPersonas(null),
+      roomId ? this.getScopedPersonas(roomId) : []
+    ]);
+
+    return [...globalPersonas, ...roomPersonas];
+  }
+
+  // 응답 생성에 사용할 제공자 (페르소나 미지정 시 AI_PROVIDER 기본값)
+  static getProviderName(persona) {
+    return persona.provider || aiProvider;
+  }
+
+  // 등록된 제공자로 응답을 생성할 수 있는 페르소나인지 확인
+  static isAvailable(persona) {
+    return !!persona && providerNames.includes(this.getProviderName(persona));
+  }
+
+  // 채팅방에서 응답 가능한 페르소나 조회 (Message.aiType은 이 결과의 handle만 저장됨)
+  static findPersona(personas, handle) {
+    return personas.find(persona => persona.handle === handle && this.isAvailable(persona)) || null;
+  }
+
+  // 메시지에서 @handle 멘션 추출 (채팅방에서 응답 가능한 페르소나만)
+  static async extractMentions(content, roomId) {
+    if (!content || !content.includes('@')) return [];
+
+    const personas = await this.getPersonasForRoom(roomId);
+    const handles = new Set(
+      personas.filter(persona => this.isAvailable(persona)).map(persona => persona.handle)
+    );
+    const mentions = new Set();
+    const mentionRegex = /@(\w+)\b/g;
+    let match;
+
+    while ((match = mentionRegex.exec(content)) !== null) {
+      if (handles.has(match[1])) {
+        mentions.add(match[1]);
+      }
+    }
+
+    return Array.from(mentions);
+  }
+
+  // 클라이언트에 노출할 페르소나 정보 (systemPrompt는 관리 권한이 있는 사용자에게만)
+  static toPersonaInfo(persona, { includePrompt = false } = {}) {
+    return {
+      _id: persona._id,
+      name: persona.name,
+      handle: persona.handle,
+      systemPrompt: includePrompt ? persona.systemPrompt : undefined,
+      provider: persona.provider || null,
+      model: persona.model || null,
+      temperature: persona.temperature,
+      avatar: persona.avatar || null,
+      room: persona.room || null,
+      scope: persona.room ? 'room' : 'global',
+      isBuiltIn: !persona.room,
+      createdBy: persona.createdBy || null,
+      createdAt: persona.createdAt,
+      updatedAt: persona.updatedAt
+    };
+  }
+
+  static createError(status, message) {
+    return RoomService.createError(status, message);
+  }
+
+  // 수정 권한 확인: 채팅방 페르소나만 수정 가능 (manageAiPersonas 권한 필요)
+  static async assertCanManage(persona, userId) {
+    if (!persona.room) {
+      throw this.createError(403, '기본 제공 페르소나는 수정하거나 삭제할 수 없습니다.');
+    }
+
+    await RoomService.requirePermission(persona.room, userId, 'manageAiPersonas');
+  }
+
+  // 핸들 중복 확인 (기본 제공 페르소나의 핸들은 모든 채팅방에서 예약됨)
+  static async assertHandleAvailable(handle, roomId, excludeId = null) {
+    const filter = {
+      handle,
+      room: { $in: [null, roomId] }
+    };
+    if (excludeId) filter._id = { $ne: excludeId };
+
+    if (await AiPersona.exists(filter)) {
+      throw this.createError(409, '이미 사용 중인 핸들입니다.');
+    }
+  }
+
+  static pickFields(data) {
+    const fields = {};
+    for (const key of this.EDITABLE_FIELDS) {
+      if (data[key] !== undefined) fields[key] = data[key];
+    }
+    return fields;
+  }
+
+  static toValidationError(error) {
+    if (error.name === 'ValidationError') {
+      const message = Object.values(error.errors)[0]?.message || '입력값이 올바르지 않습니다.';
+      return this.createError(400, message);
+    }
+    if (error.code === 11000) {
+      return this.createError(409, '이미 사용 중인 핸들입니다.');
+    }
+    return error;
+  }
+
+  // 채팅방 참여자 확인 후 채팅방 페르소나 관리 권한 여부 반환 (참여자가 아니면 null)
+  static async getRoomAccess(roomId, userId) {
+    const room = mongoose.isValidObjectId(roomId)
+      ? await Room.findById(roomId).select('creator participants roles isDirect').lean()
+      : null;
+    if (!room || !RoomService.getRole(room, userId)) return null;
+
+    return { canManage: RoomService.hasPermission(room, userId, 'manageAiPersonas') };
+  }
+
+  static async listPersonas(userId, roomId) {
+    let canManage = false;
+    if (roomId) {
+      const access = await this.getRoomAccess(roomId, userId);
+      if (!access) {
+        throw this.createError(403, '채팅방 접근 권한이 없습니다.');
+      }
+      canManage = access.canManage;
+    }
+
+    const personas = await this.getPersonasForRoom(roomId);
+    return personas.map(persona => this.toPersonaInfo(persona, {
+      includePrompt: canManage && !!persona.room
+    }));
+  }
+
+  static async getPersona(personaId, userId) {
+    const persona = mongoose.isValidObjectId(personaId)
+      ? await AiPersona.findById(personaId).lean()
+      : null;
+    if (!persona) {
+      throw this.createError(404, '페르소나를 찾을 수 없습니다.');
+    }
+
+    let canManage = false;
+    if (persona.room) {
+      const access = await this.getRoomAccess(persona.room, userId);
+      if (!access) {
+        throw this.createError(404, '페르소나를 찾을 수 없습니다.');
+      }
+      canManage = access.canManage;
+    }
+    return this.toPersonaInfo(persona, { includePrompt: canManage });
+  }
+
+  // 채팅방 전용 페르소나 생성 (기본 제공 페르소나는 API로 생성 불가)
+  static async createPersona(userId, data) {
+    const roomId = data.roomId ? data.roomId.toString() : null;
+    if (!roomId) {
+      throw this.createError(400, '페르소나를 추가할 채팅방(roomId)을 지정해주세요.');
+    }
+    await RoomService.requirePermission(roomId, userId, 'manageAiPersonas');
+
+    const fields = this.pickFields(data);
+    if (fields.handle) {
+      await this.assertHandleAvailable(fields.handle.trim(), roomId);
+    }
+
+    try {
+      const persona = await AiPersona.create({
+        ...fields,
+        room: roomId,
+        createdBy: userId
+      });
+      await this.invalidateCache(roomId);
+      return this.toPersonaInfo(persona.toObject(), { includePrompt: true });
+    } catch (error) {
+      throw this.toValidationError(error);
+    }
+  }
+
+  static async updatePersona(personaId, userId, data) {
+    const persona = mongoose.isValidObjectId(personaId)
+      ? await AiPersona.findById(personaId)
+      : null;
+    if (!persona) {
+      throw this.createError(404, '페르소나를 찾을 수 없습니다.');
+    }
+
+    await this.assertCanManage(persona, userId);
+
+    const fields = this.pickFields(data);
+    if (fields.handle && fields.handle.trim() !== persona.handle) {
+      await this.assertHandleAvailable(fields.handle.trim(), persona.room, persona._id);
+    }
+
+    try {
+      persona.set(fields);
+      await persona.save();
+    } catch (error) {
+      throw this.toValidationError(error);
+    }
+
+    await this.invalidateCache(persona.room);
+    return this.toPersonaInfo(persona.toObject(), { includePrompt: true });
+  }
+
+  static async deletePersona(personaId, userId) {
+    const persona = mongoose.isValidObjectId(personaId)
+      ? await AiPersona.findById(personaId)
+      : null;
+    if (!persona) {
+      throw this.createError(404, '페르소나를 찾을 수 없습니다.');
+    }
+
+    await this.assertCanManage(persona, userId);
+    await persona.deleteOne();
+    await this.invalidateCache(persona.room);
+
+    return this.toPersonaInfo(persona.toObject());
+  }
+
+  // 채팅방 삭제 시 채팅방 전용 페르소나와 캐시 정리
+  static async deleteRoomPersonas(roomId) {
+    await AiPersona.deleteMany({ room: roomId.toString() });
+    await this.invalidateCache(roomId);
+  }
+}
+
+module.exports = AiPersonaService;
@@ -0,0 +1,72 @@
+const axios = require('axios');
+const { anthropicApiKey, anthropicBaseUrl } = require('../../config/keys');
+const { parseSseStream } = require('./sseParser');
+
+// Anthropic Messages API 스타일 제공자 (system 프롬프트 분리, event 기반 스트리밍)
+class AnthropicProvider {
+  constructor() {
+    this.name = 'anthropic';
+    this.defaultModel = 'claude-3-5-sonnet-latest';
+    this.maxTokens = 1024;
+    this.client = axios.create({
+      baseURL: anthropicBaseUrl,
+      headers: {
+        'x-api-key': anthropicApiKey,
+        'anthropic-version': '2023-06-01',
+        'Content-Type': 'application/json'
+      }
+    });
+  }
+
+  // 스트리밍 응답 생성: 청크마다 onChunk(text) 호출, 완료 시 { content, completionTokens, totalTokens } 반환
+  async stream({ systemPrompt, messages, model, temperature, maxTokens, signal }, { onChunk }) {
+    const response = await this.client.post('/messages', {
+      model: model || this.defaultModel,
+      system: systemPrompt,
+      messages,
+      max_tokens: maxTokens || this.maxTokens,
+      temperature,
+      stream: true
+    }, {
+      responseType: 'stream',
+      signal
+    });
+
+    let content = '';
+    let inputTokens = 0;
+    let outputTokens = 0;
+
+    await parseSseStream(response.data, async ({ data }) => {
+      const parsed = JSON.parse(data);
+
+      switch (parsed.type) {
+        case 'message_start':
+          inputTokens = parsed.message?.usage?.input_tokens || 0;
+          return false;
+        case 'content_block_delta':
+          if (parsed.delta?.type === 'text_delta' && parsed.delta.text) {
+            content += parsed.delta.text;
+            await onChunk(parsed.delta.text);
+          }
+          return false;
+        case 'message_delta':
+          outputTokens = parsed.usage?.output_tokens || outputTokens;
+          return false;
+        case 'message_stop':
+          return true;
+        case 'error':
+          throw new Error(parsed.error?.message || 'AI 제공자 오류가 발생했습니다.');
+        default:
+          return false;
+      }
+    }, signal);
+
+    return {
+      content,
+      completionTokens: outputTokens,
+      totalTokens: inputTokens + outputTokens
+    };
+  }
+}
+
+module.exports = AnthropicProvider;
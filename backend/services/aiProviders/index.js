@@ -0,0 +1,31 @@
+const OpenAIProvider = require('./openaiProvider');
+const AnthropicProvider = require('./anthropicProvider');
+const LocalProvider = require('./localProvider');
+
+// AI 제공자 레지스트리
+// 모든 제공자는 stream({ systemPrompt, messages, model, temperature, signal }, { onChunk })를 구현하며
+// 완료 시 { content, completionTokens, totalTokens }를 반환하고 실패 시 예외를 던짐
+const providerClasses = {
+  openai: OpenAIProvider,
+  anthropic: AnthropicProvider,
+  local: LocalProvider
+};
+
+const instances = new Map();
+
+const getProvider = (name) => {
+  const Provider = providerClasses[name];
+  if (!Provider) {
+    throw new Error(`지원하지 않는 AI 제공자입니다: ${name}`);
+  }
+
+  if (!instances.has(name)) {
+    instances.set(name, new Provider());
+  }
+  return instances.get(name);
+};
+
+module.exports = {
+  getProvider,
+  providerNames: Object.keys(providerClasses)
+};
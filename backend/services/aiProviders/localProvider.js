@@ -0,0 +1,90 @@
+const {
+  localAiLatencyMs,
+  localAiTokensPerSecond,
+  localAiResponseTokens
+} = require('../../config/keys');
+const { createAbortError } = require('./sseParser');
+
+const LOREM_WORDS = (
+  'lorem ipsum dolor sit amet consectetur adipiscing elit sed do eiusmod tempor ' +
+  'incididunt ut labore et dolore magna aliqua ut enim ad minim veniam quis nostrud ' +
+  'exercitation ullamco laboris nisi ut aliquip ex ea commodo consequat duis aute irure ' +
+  'dolor in reprehenderit in voluptate velit esse cillum dolore eu fugiat nulla pariatur'
+).split(' ');
+
+// 오프라인/부하 테스트용 로컬 제공자 (외부 API 호출 없이 결정적인 응답을 스트리밍)
+// model: 'echo'(질문을 그대로 반복) 또는 'lorem'(질문 기반 시드로 lorem ipsum 생성)
+class LocalProvider {
+  constructor() {
+    this.name = 'local';
+    this.defaultModel = 'lorem';
+  }
+
+  // 같은 입력이면 항상 같은 응답이 나오도록 문자열 해시를 시드로 사용
+  hash(text) {
+    let hash = 0;
+    for (let i = 0; i < text.length; i++) {
+      hash = (hash * 31 + text.charCodeAt(i)) >>> 0;
+    }
+    return hash;
+  }
+
+  buildTokens(model, query) {
+    if (model === 'echo') {
+      return `Echo: ${query}`.split(/(\s+)/).filter(Boolean);
+    }
+
+    let seed = this.hash(query);
+    const tokens = [];
+    for (let i = 0; i < localAiResponseTokens; i++) {
+      seed = (Math.imul(seed, 1103515245) + 12345) >>> 0;
+      tokens.push(i === 0 ? '' : ' ', LOREM_WORDS[(seed >>> 16) % LOREM_WORDS.length]);
+    }
+    return tokens.filter(Boolean);
+  }
+
+  wait(ms, signal) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) return reject(createAbortError());
+
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(createAbortError());
+      };
+      const timer = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+      }, ms);
+      signal?.addEventListener('abort', onAbort, { once: true });
+    });
+  }
+
+  // 첫 토큰 지연(LOCAL_AI_LATENCY_MS)과 초당 토큰 수(LOCAL_AI_TOKENS_PER_SECOND)를 흉내내어 스트리밍
+  async stream({ messages, model, signal }, { onChunk }) {
+    const query = messages[messages.length - 1]?.content || '';
+    const tokens = this.buildTokens(model || this.defaultModel, query);
+    // 0 이하이면 토큰 간 지연 없이 전송
+    const interval = localAiTokensPerSecond > 0 ? 1000 / localAiTokensPerSecond : 0;
+
+    await this.wait(localAiLatencyMs, signal);
+
+    let content = '';
+    for (const token of tokens) {
+      content += token;
+      await onChunk(token);
+      await this.wait(interval, signal);
+    }
+
+    const promptTokens = messages
+      .reduce((count, message) => count + (message.content || '').split(/\s+/).filter(Boolean).length, 0);
+    const completionTokens = tokens.filter(token => token.trim()).length;
+
+    return {
+      content,
+      completionTokens,
+      totalTokens: promptTokens + completionTokens
+    };
+  }
+}
+
+module.exports = LocalProvider;
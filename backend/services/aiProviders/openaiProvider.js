@@ -0,0 +1,60 @@
+const axios = require('axios');
+const { openaiApiKey, openaiBaseUrl } = require('../../config/keys');
+const { parseSseStream } = require('./sseParser');
+
+// OpenAI 호환 Chat Completions API (baseURL 변경으로 호환 서버에도 사용 가능)
+class OpenAIProvider {
+  constructor() {
+    this.name = 'openai';
+    this.defaultModel = 'gpt-4';
+    this.client = axios.create({
+      baseURL: openaiBaseUrl,
+      headers: {
+        'Authorization': `Bearer ${openaiApiKey}`,
+        'Content-Type': 'application/json'
+      }
+    });
+  }
+
+  // 스트리밍 응답 생성: 청크마다 onChunk(text) 호출, 완료 시 { content, completionTokens, totalTokens } 반환
+  async stream({ systemPrompt, messages, model, temperature, signal }, { onChunk }) {
+    const response = await this.client.post('/chat/completions', {
+      model: model || this.defaultModel,
+      messages: [
+        { role: 'system', content: systemPrompt },
+        ...messages
+      ],
+      temperature,
+      stream: true,
+      stream_options: { include_usage: true }
+    }, {
+      responseType: 'stream',
+      signal
+    });
+
+    let content = '';
+    let usage = null;
+
+    await parseSseStream(response.data, async ({ data }) => {
+      if (data === '[DONE]') return true;
+
+      const parsed = JSON.parse(data);
+      if (parsed.usage) usage = parsed.usage;
+
+      const text = parsed.choices?.[0]?.delta?.content;
+      if (text) {
+        content += text;
+        await onChunk(text);
+      }
+      return false;
+    }, signal);
+
+    return {
+      content,
+      completionTokens: usage?.completion_tokens,
+      totalTokens: usage?.total_tokens
+    };
+  }
+}
+
+module.exports = OpenAIProvider;
@@ -0,0 +1,67 @@
+// SSE(Server-Sent Events) 스트림을 줄 단위로 파싱하여 이벤트별로 순서대로 전달
+// onEvent({ event, data })가 true를 반환(또는 resolve)하면 스트림 종료로 간주
+const parseSseStream = (stream, onEvent, signal) => new Promise((resolve, reject) => {
+  let buffer = '';
+  let eventName = null;
+  let finished = false;
+  let queue = Promise.resolve(); // 비동기 onEvent도 수신 순서대로 처리
+
+  const finish = (error) => {
+    if (finished) return;
+    finished = true;
+    stream.destroy();
+    if (error) reject(error);
+    else resolve();
+  };
+
+  const dispatch = (event) => {
+    queue = queue
+      .then(async () => {
+        if (finished) return;
+        if (await onEvent(event)) finish();
+      })
+      .catch(finish);
+  };
+
+  stream.on('data', chunk => {
+    buffer += chunk.toString();
+
+    let newlineIndex;
+    while ((newlineIndex = buffer.indexOf('\n')) !== -1) {
+      const line = buffer.slice(0, newlineIndex).trim();
+      buffer = buffer.slice(newlineIndex + 1);
+
+      if (line === '') {
+        eventName = null;
+      } else if (line.startsWith('event: ')) {
+        eventName = line.slice(7);
+      } else if (line.startsWith('data: ')) {
+        dispatch({ event: eventName, data: line.slice(6) });
+      }
+    }
+  });
+
+  stream.on('end', () => {
+    queue.then(() => finish());
+  });
+  stream.on('error', error => finish(error));
+
+  if (signal) {
+    if (signal.aborted) {
+      finish(createAbortError());
+      return;
+    }
+    signal.addEventListener('abort', () => finish(createAbortError()), { once: true });
+  }
+});
+
+const createAbortError = () => {
+  const error = new Error('AI 응답 생성이 취소되었습니다.');
+  error.name = 'AbortError';
+  return error;
+};
+
+module.exports = {
+  parseSseStream,
+  createAbortError
+};
@@ -1,143 +1,165 @@
-const axios = require('axios');
-const { openaiApiKey } = require('../config/keys');
+const { aiProvider, aiContextMessages, aiContextTokenBudget } = require('../config/keys');
+const { getProvider } = require('./aiProviders');
+const MessageService = require('./messageService');
 
 class AIService {
-  constructor() {
-    this.openaiClient = axios.create({
-      baseURL: 'https://api.openai.com/v1',
-      headers: {
-        'Authorization': `Bearer ${openaiApiKey}`,
-        'Content-Type': 'application/json'
-      }
-    });
+  // 페르소나 systemPrompt 뒤에 채팅방 대화 맥락 안내를 덧붙임
+  buildSystemPrompt(aiPersona) {
+    return `${aiPersona.systemPrompt}
+
+대화 기록의 [이름]은 해당 메시지를 보낸 사람입니다. 누가 무엇을 말했는지 구분하여 답변하세요.`;
   }
 
-  async generateResponse(message, persona = 'wayneAI', callbacks) {
+  // 대략적인 토큰 수 추정 (한글 기준 2글자당 1토큰 정도로 보수적으로 계산)
+  estimateTokens(text) {
+    return Math.ceil((text || '').length / 2);
+  }
+
+  // 채팅방 최근 메시지 조회 (room:messages 캐시 또는 Mongo, 시스템/삭제 메시지 및 질문 메시지 제외)
+  async loadConversationHistory(roomId, excludeMessageId) {
+    if (aiContextMessages <= 0) return [];
+
     try {
-      const aiPersona = {
-        wayneAI: {
-          name: 'Wayne AI',
-          role: '친절하고 도움이 되는 어시스턴트',
-          traits: '전문적이고 통찰력 있는 답변을 제공하며, 사용자의 질문을 깊이 이해하고 명확한 설명을 제공합니다.',
-          tone: '전문적이면서도 친근한 톤',
-        },
-        consultingAI: {
-          name: 'Consulting AI',
-          role: '비즈니스 컨설팅 전문가',
-          traits: '비즈니스 전략, 시장 분석, 조직 관리에 대한 전문적인 조언을 제공합니다.',
-          tone: '전문적이고 분석적인 톤',
-        }
-      }[persona];
+      const { messages } = await MessageService.getRoomMessages(roomId, {
+        limit: aiContextMessages + 1
+      });
+
+      return messages
+        .filter(message =>
+          message.type !== 'system' &&
+          !message.isDeleted &&
+          message._id?.toString() !== excludeMessageId?.toString()
+        )
+        .slice(-aiContextMessages);
+    } catch (error) {
+      console.error('AI context load error:', error);
+      return [];
+    }
+  }
+
+  // 메시지를 대화 항목으로 변환 (이 페르소나의 이전 답변은 assistant, 나머지는 발화자 표시 후 user)
+  // personaNames: 핸들 → 표시 이름 (다른 페르소나의 답변 발화자 표시용)
+  toConversationEntry(message, handle, personaNames = {}) {
+    if (message.type === 'ai') {
+      if (message.aiType === handle) {
+        return { role: 'assistant', content: message.content || '' };
+      }
+      return {
+        role: 'user',
+        content: `[${personaNames[message.aiType] || message.aiType}] ${message.content || ''}`
+      };
+    }
+
+    const text = message.type === 'file'
+      ? `${message.content || ''} [파일: ${message.metadata?.originalName || message.file?.originalname || ''}]`.trim()
+      : message.content || '';
+
+    return {
+      role: 'user',
+      content: `[${message.sender?.name || '알 수 없음'}] ${text}`
+    };
+  }
+
+  // 최근 대화 + 현재 질문을 토큰 예산 내에서 구성 (오래된 메시지부터 제외)
+  buildConversation(history, handle, message, userName, personaNames = {}) {
+    const question = {
+      role: 'user',
+      content: userName ? `[${userName}] ${message}` : message
+    };
+
+    let remaining = aiContextTokenBudget - this.estimateTokens(question.content);
+    const entries = [];
+    for (let i = history.length - 1; i >= 0; i--) {
+      const entry = this.toConversationEntry(history[i], handle, personaNames);
+      const tokens = this.estimateTokens(entry.content);
+      if (tokens > remaining) break;
+      remaining -= tokens;
+      entries.unshift(entry);
+    }
+    entries.push(question);
+
+    // 같은 역할이 연속되면 합치고, 대화는 user로 시작하도록 정리 (제공자 공통 제약)
+    const conversation = [];
+    for (const entry of entries) {
+      const last = conversation[conversation.length - 1];
+      if (last && last.role === entry.role) {
+        last.content += `\n${entry.content}`;
+      } else if (conversation.length > 0 || entry.role === 'user') {
+        conversation.push({ ...entry });
+      }
+    }
+    return conversation;
+  }
 
+  // aiPersona: AiPersona 문서 (제공자 미지정 시 AI_PROVIDER 기본값과 제공자 기본 모델 사용)
+  // options.history: 최근 채팅방 메시지(오래된 순), options.userName: 질문한 사용자 이름
+  // options.personas: 채팅방에서 사용 가능한 페르소나 목록 (대화 기록의 발화자 이름 표시용)
+  // options.signal: 중단 시 제공자 스트림(HTTP 요청)을 끊고 onError 대신 callbacks.onCancel 호출
+  async generateResponse(message, aiPersona, callbacks, { history = [], userName, personas = [], signal } = {}) {
+    try {
       if (!aiPersona) {
         throw new Error('Unknown AI persona');
       }
 
-      const systemPrompt = `당신은 ${aiPersona.name}입니다.
-역할: ${aiPersona.role}
-특성: ${aiPersona.traits}
-톤: ${aiPersona.tone}
-
-답변 시 주의사항:
-1. 명확하고 이해하기 쉬운 언어로 답변하세요.
-2. 정확하지 않은 정보는 제공하지 마세요.
-3. 필요한 경우 예시를 들어 설명하세요.
-4. ${aiPersona.tone}을 유지하세요.`;
+      const provider = getProvider(aiPersona.provider || aiProvider);
+      const personaNames = Object.fromEntries(personas.map(persona => [persona.handle, persona.name]));
 
       callbacks.onStart();
 
-      const response = await this.openaiClient.post('/chat/completions', {
-        model: 'gpt-4',
-        messages: [
-          { role: 'system', content: systemPrompt },
-          { role: 'user', content: message }
-        ],
-        temperature: 0.7,
-        stream: true
-      }, {
-        responseType: 'stream'
-      });
-
-      let fullResponse = '';
       let isCodeBlock = false;
-      let buffer = '';
-
-      return new Promise((resolve, reject) => {
-        response.data.on('data', async chunk => {
-          try {
-            // 청크 데이터를 문자열로 변환하고 버퍼에 추가
-            buffer += chunk.toString();
-
-            // 완전한 JSON 객체를 찾아 처리
-            while (true) {
-              const newlineIndex = buffer.indexOf('\n');
-              if (newlineIndex === -1) break;
-
-              const line = buffer.slice(0, newlineIndex).trim();
-              buffer = buffer.slice(newlineIndex + 1);
-
-              if (line === '') continue;
-              if (line === 'data: [DONE]') {
-                callbacks.onComplete({
-                  content: fullResponse.trim()
-                });
-                resolve(fullResponse.trim());
-                return;
-              }
-
-              if (line.startsWith('data: ')) {
-                try {
-                  const data = JSON.parse(line.slice(6));
-                  const content = data.choices[0]?.delta?.content;
-                  
-                  if (content) {
-                    // 코드 블록 상태 업데이트
-                    if (content.includes('```')) {
-                      isCodeBlock = !isCodeBlock;
-                    }
-
-                    // 현재 청크만 전송
-                    await callbacks.onChunk({
-                      currentChunk: content,
-                      isCodeBlock
-                    });
-
-                    // 전체 응답은 서버에서만 관리
-                    fullResponse += content;
-                  }
-                } catch (err) {
-                  console.error('JSON parsing error:', err);
-                }
-              }
-            }
-          } catch (error) {
-            console.error('Stream processing error:', error);
-            callbacks.onError(error);
-            reject(error);
+      const result = await provider.stream({
+        systemPrompt: this.buildSystemPrompt(aiPersona),
+        messages: this.buildConversation(history, aiPersona.handle, message, userName, personaNames),
+        model: aiPersona.model,
+        temperature: aiPersona.temperature,
+        signal
+      }, {
+        onChunk: async (content) => {
+          // 코드 블록 상태 업데이트
+          if (content.includes('```')) {
+            isCodeBlock = !isCodeBlock;
           }
-        });
 
-        response.data.on('error', error => {
-          console.error('Stream error:', error);
-          callbacks.onError(error);
-          reject(error);
-        });
+          // 현재 청크만 전송 (전체 응답은 서버에서만 관리)
+          await callbacks.onChunk({
+            currentChunk: content,
+            isCodeBlock
+          });
+        }
       });
 
+      const fullResponse = result.content.trim();
+      await callbacks.onComplete({
+        content: fullResponse,
+        completionTokens: result.completionTokens,
+        totalTokens: result.totalTokens
+      });
+      return fullResponse;
+
     } catch (error) {
+      if (signal?.aborted) {
+        await callbacks.onCancel?.();
+        return null;
+      }
+
       console.error('AI response generation error:', error);
-      callbacks.onError(error);
-      
+
       // For load testing, provide fallback response instead of throwing
-      if (process.env.NODE_ENV === 'production' || process.env.LOAD_TEST_MODE) {
+      // (한 응답에 onComplete/onError 중 하나만 호출, 대체 응답 저장마저 실패하면 onError)
+      if (aiPersona && (process.env.NODE_ENV === 'production' || process.env.LOAD_TEST_MODE)) {
         const fallbackResponse = `${aiPersona.name}가 일시적으로 응답할 수 없습니다. 잠시 후 다시 시도해주세요.`;
-        callbacks.onComplete({ content: fallbackResponse });
-        return fallbackResponse;
+        try {
+          await callbacks.onComplete({ content: fallbackResponse });
+          return fallbackResponse;
+        } catch (fallbackError) {
+          console.error('AI fallback response error:', fallbackError);
+        }
       }
-      
+
+      await callbacks.onError(error);
       throw new Error('AI 응답 생성 중 오류가 발생했습니다.');
     }
   }
 }
 
-module.exports = new AIService();
\ No newline at end of file
+module.exports = new AIService();
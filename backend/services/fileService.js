@@ -1,5 +1,9 @@
 const fs = require('fs');
 const pdfParse = require('pdf-parse');
+const AWS = require('aws-sdk');
+const File = require('../models/File');
+const redisClient = require('../utils/redisClient');
+const s3 = new AWS.S3();
 
 exports.processFileForRAG = async (filePath) => {
   let textContent = '';
@@ -16,4 +20,25 @@ exports.processFileForRAG = async (filePath) => {
 
   // 텍스트를 벡터화하여 벡터 DB에 저장
   await vectorDB.storeDocument(textContent);
-};
\ No newline at end of file
+};
+
+// 저장소(S3)와 DB에서 파일 제거 (메시지 삭제 등에서 사용)
+exports.removeStoredFile = async (fileId) => {
+  const file = await File.findById(fileId);
+  if (!file) return false;
+
+  try {
+    await s3.deleteObject({
+      Bucket: process.env.AWS_S3_BUCKET,
+      Key: file.filename
+    }).promise();
+  } catch (s3Error) {
+    console.error('S3 file deletion error:', s3Error);
+  }
+
+  await file.deleteOne();
+
+  // 파일 메타데이터 캐시 무효화
+  await redisClient.del(`file:meta:${file._id}`);
+  return true;
+};
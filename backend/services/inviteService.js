@@ -0,0 +1,146 @@
+const mongoose = require('mongoose');
+const Room = require('../models/Room');
+const RoomInvite = require('../models/RoomInvite');
+const RoomService = require('./roomService');
+const ModerationService = require('./moderationService');
+
+// 채팅방 초대 링크 발급/회수/사용
+class InviteService {
+  static MAX_EXPIRES_IN = 30 * 24 * 60 * 60; // 최대 유효 기간 (30일, 초 단위)
+  static MAX_USES = 1000;
+
+  static toInviteInfo(invite) {
+    return {
+      _id: invite._id,
+      token: invite.token,
+      room: invite.room,
+      createdBy: invite.createdBy,
+      createdAt: invite.createdAt,
+      expiresAt: invite.expiresAt || null,
+      maxUses: invite.maxUses || null,
+      uses: invite.uses,
+      usedBy: invite.usedBy,
+      revokedAt: invite.revokedAt || null,
+      isValid: !invite.getInvalidReason()
+    };
+  }
+
+  // 초대 링크 발급 (expiresIn: 초 단위, maxUses: 최대 사용 횟수, 생략 시 제한 없음)
+  static async createInvite(roomId, userId, { expiresIn, maxUses } = {}) {
+    await RoomService.requirePermission(roomId, userId, 'manageInvites');
+
+    const invite = new RoomInvite({
+      room: roomId,
+      createdBy: userId
+    });
+
+    if (expiresIn !== undefined && expiresIn !== null && expiresIn !== '') {
+      const seconds = parseInt(expiresIn);
+      if (isNaN(seconds) || seconds <= 0 || seconds > this.MAX_EXPIRES_IN) {
+        throw RoomService.createError(400, `유효 기간은 1초 이상 ${this.MAX_EXPIRES_IN}초 이하로 입력해주세요.`);
+      }
+      invite.expiresAt = new Date(Date.now() + seconds * 1000);
+    }
+
+    if (maxUses !== undefined && maxUses !== null && maxUses !== '') {
+      const count = parseInt(maxUses);
+      if (isNaN(count) || count <= 0 || count > this.MAX_USES) {
+        throw RoomService.createError(400, `최대 사용 횟수는 1 이상 ${this.MAX_USES} 이하로 입력해주세요.`);
+      }
+      invite.maxUses = count;
+    }
+
+    await invite.save();
+    return this.toInviteInfo(invite);
+  }
+
+  static async listInvites(roomId, userId) {
+    await RoomService.requirePermission(roomId, userId, 'manageInvites');
+
+    const invites = await RoomInvite.find({ room: roomId })
+      .sort({ createdAt: -1 })
+      .populate('createdBy', 'name email')
+      .populate('usedBy.user', 'name email');
+
+    return invites.map(invite => this.toInviteInfo(invite));
+  }
+
+  static async revokeInvite(roomId, userId, inviteId) {
+    await RoomService.requirePermission(roomId, userId, 'manageInvites');
+
+    const invite = mongoose.isValidObjectId(inviteId)
+      ? await RoomInvite.findOne({ _id: inviteId, room: roomId })
+      : null;
+    if (!invite) {
+      throw RoomService.createError(404, '초대 링크를 찾을 수 없습니다.');
+    }
+
+    if (!invite.revokedAt) {
+      invite.revokedAt = new Date();
+      invite.revokedBy = userId;
+      await invite.save();
+    }
+
+    return this.toInviteInfo(invite);
+  }
+
+  // 초대 링크로 입장 (비밀번호 확인 생략, 이미 참여 중이면 사용 횟수 차감 없음)
+  static async joinByInvite(token, userId) {
+    const invite = token ? await RoomInvite.findOne({ token }) : null;
+    if (!invite) {
+      throw RoomService.createError(404, '초대 링크를 찾을 수 없습니다.');
+    }
+
+    const invalidReason = invite.getInvalidReason();
+    if (invalidReason) {
+      throw RoomService.createError(410, invalidReason);
+    }
+
+    // 이미 참여 중인 경우에도 같은 채팅방 정보를 반환하도록 전체 필드 조회 (민감 필드는 라우트에서 제거)
+    const room = await Room.findById(invite.room);
+    if (!room) {
+      throw RoomService.createError(404, '채팅방을 찾을 수 없습니다.');
+    }
+
+    if (ModerationService.getActiveBan(room, userId)) {
+      throw RoomService.createError(403, '입장이 차단된 채팅방입니다.');
+    }
+
+    if (room.participants.some(participant => participant.toString() === userId)) {
+      return { room, joined: false };
+    }
+
+    // 동시 사용 시에도 최대 사용 횟수를 넘지 않도록 조건부 증가
+    const now = new Date();
+    const consumed = await RoomInvite.findOneAndUpdate(
+      {
+        _id: invite._id,
+        revokedAt: null,
+        $and: [
+          { $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }] },
+          { $or: [{ maxUses: null }, { $expr: { $lt: ['$uses', '$maxUses'] } }] }
+        ]
+      },
+      {
+        $inc: { uses: 1 },
+        $push: { usedBy: { user: userId, usedAt: now } }
+      },
+      { new: true }
+    );
+
+    if (!consumed) {
+      throw RoomService.createError(410, '사용할 수 없는 초대 링크입니다.');
+    }
+
+    const updatedRoom = await Room.findByIdAndUpdate(
+      room._id,
+      { $addToSet: { participants: userId } },
+      { new: true }
+    );
+    await RoomService.invalidateRoomListCache();
+
+    return { room: updatedRoom, joined: true, invite: consumed };
+  }
+}
+
+module.exports = InviteService;
@@ -0,0 +1,642 @@
+const mongoose = require('mongoose');
+const Message = require('../models/Message');
+const Room = require('../models/Room');
+const redisClient = require('../utils/redisClient');
+const { removeStoredFile } = require('./fileService');
+const RoomService = require('./roomService');
+const ModerationService = require('./moderationService');
+
+class MessageService {
+  static MESSAGES_TTL = 24 * 60 * 60; // 24 hours
+  static MESSAGES_CACHE_PREFIX = 'room:messages:';
+  static RECENT_MESSAGE_CACHE = 50;
+  static MESSAGE_LOAD_TIMEOUT = 10000; // 메시지 로드 타임아웃 (10초)
+  static RESUME_MAX_CHANGES = 200; // 재접속 시 전달할 최대 변경 수
+  static RESUME_MAX_AGE = 24 * 60 * 60 * 1000; // 이보다 오래 끊긴 경우 전체 재로딩 (24시간)
+  static MAX_PINNED_MESSAGES = 20; // 채팅방당 최대 고정 메시지 수
+
+  static getCacheKey(roomId) {
+    return `${this.MESSAGES_CACHE_PREFIX}${roomId}`;
+  }
+
+  // 메시지 조회 시 공통으로 사용하는 $lookup 단계 (sender, file, readers)
+  static getLookupStages() {
+    return [
+      {
+        $lookup: {
+          from: 'users',
+          localField: 'sender',
+          foreignField: '_id',
+          as: 'sender',
+          pipeline: [{ $project: { name: 1, email: 1, profileImage: 1 } }]
+        }
+      },
+      {
+        $lookup: {
+          from: 'files',
+          localField: 'file',
+          foreignField: '_id',
+          as: 'file',
+          pipeline: [{ $project: { filename: 1, originalname: 1, mimetype: 1, size: 1 } }]
+        }
+      },
+      {
+        $lookup: {
+          from: 'users',
+          localField: 'readers.userId',
+          foreignField: '_id',
+          as: 'readersData',
+          pipeline: [{ $project: { name: 1, email: 1 } }]
+        }
+      },
+      {
+        $addFields: {
+          sender: { $arrayElemAt: ['$sender', 0] },
+          file: { $arrayElemAt: ['$file', 0] }
+        }
+      }
+    ];
+  }
+
+  // 채팅방 메인 타임라인 aggregation (스레드 답글 제외)
+  static aggregateRoomMessages(roomId, timestampMatch, sortOrder, limit) {
+    const matchStage = {
+      room: roomId.toString(),
+      isDeleted: false,
+      parentMessage: null
+    };
+    if (timestampMatch) {
+      matchStage.timestamp = timestampMatch;
+    }
+
+    return Message.aggregate([
+      // 1. 기본 필터링 (인덱스 사용: room + timestamp + isDeleted)
+      { $match: matchStage },
+
+      // 2. 정렬 및 제한 (인덱스 사용)
+      { $sort: { timestamp: sortOrder } },
+      { $limit: limit + 1 },
+
+      // 3. sender / file / readers 정보 조인 및 단일 객체 변환
+      ...this.getLookupStages(),
+
+      // 4. 불필요한 필드 제거
+      { $project: { __v: 0, updatedAt: 0, isDeleted: 0 } }
+    ]);
+  }
+
+  // 커서 값(메시지 ID 또는 timestamp)을 Date로 변환
+  static async resolveCursor(roomId, value) {
+    if (!value) return null;
+    // 쿼리 문자열 배열/객체(?before[]=...) 등은 커서로 사용하지 않음
+    if (typeof value === 'object' && !(value instanceof Date)) {
+      throw this.createError(400, '잘못된 커서 값입니다.');
+    }
+
+    if (typeof value === 'string' && /^[a-f0-9]{24}$/i.test(value)) {
+      const message = await Message.findOne({ _id: value, room: roomId.toString() })
+        .select('timestamp')
+        .lean();
+      if (!message) {
+        throw this.createError(404, '기준 메시지를 찾을 수 없습니다.');
+      }
+      return message.timestamp;
+    }
+
+    const date = new Date(value);
+    if (isNaN(date.getTime())) {
+      throw this.createError(400, '잘못된 커서 값입니다.');
+    }
+    return date;
+  }
+
+  static sortByTimestamp(messages) {
+    return messages.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+  }
+
+  // 채팅방 메시지 조회 (캐시 + aggregation)
+  // before/after/around 중 하나를 커서로 사용하며, 커서가 없으면 최근 메시지를 캐시에서 우선 조회
+  static async getRoomMessages(roomId, { before, after, around, limit = 30 } = {}) {
+    if (!mongoose.isValidObjectId(roomId)) {
+      throw this.createError(400, '잘못된 채팅방 ID입니다.');
+    }
+
+    let timeoutId;
+    const timeoutPromise = new Promise((_, reject) => {
+      timeoutId = setTimeout(() => {
+        reject(new Error('Message loading timed out'));
+      }, this.MESSAGE_LOAD_TIMEOUT);
+    });
+
+    try {
+      return await Promise.race([
+        this.queryRoomMessages(roomId, { before, after, around, limit }),
+        timeoutPromise
+      ]);
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+
+  static async queryRoomMessages(roomId, { before, after, around, limit }) {
+    const cacheKey = this.getCacheKey(roomId);
+    let messages;
+    let hasMoreBefore = false;
+    let hasMoreAfter = false;
+    let fromCache = false;
+
+    if (around) {
+      const aroundAt = await this.resolveCursor(roomId, around);
+      const olderLimit = Math.floor(limit / 2);
+      const [older, newer] = await Promise.all([
+        this.aggregateRoomMessages(roomId, { $lt: aroundAt }, -1, olderLimit),
+        this.aggregateRoomMessages(roomId, { $gte: aroundAt }, 1, limit - olderLimit)
+      ]);
+
+      hasMoreBefore = older.length > olderLimit;
+      hasMoreAfter = newer.length > limit - olderLimit;
+      messages = [...older.slice(0, olderLimit), ...newer.slice(0, limit - olderLimit)];
+    } else if (after) {
+      const afterAt = await this.resolveCursor(roomId, after);
+      const result = await this.aggregateRoomMessages(roomId, { $gt: afterAt }, 1, limit);
+
+      // 커서 이전 구간은 클라이언트가 이미 가지고 있는 것으로 간주
+      hasMoreBefore = true;
+      hasMoreAfter = result.length > limit;
+      messages = result.slice(0, limit);
+    } else if (before) {
+      const beforeAt = await this.resolveCursor(roomId, before);
+      const result = await this.aggregateRoomMessages(roomId, { $lt: beforeAt }, -1, limit);
+
+      hasMoreBefore = result.length > limit;
+      hasMoreAfter = true;
+      messages = result.slice(0, limit);
+    } else {
+      // 캐시 체크 (최근 메시지만)
+      const cachedMessages = await redisClient.get(cacheKey) || [];
+      if (cachedMessages.length > 0) {
+        console.log('캐시 HIT', roomId, cachedMessages.length);
+        fromCache = true;
+        hasMoreBefore = cachedMessages.length > limit;
+        messages = cachedMessages.length > limit
+          ? cachedMessages.slice(-limit)
+          : cachedMessages;
+      } else {
+        console.log('캐시 MISS', roomId, cachedMessages.length);
+        const result = await this.aggregateRoomMessages(roomId, null, -1, limit);
+
+        hasMoreBefore = result.length > limit;
+        messages = this.sortByTimestamp(result.slice(0, limit));
+
+        if (messages.length > 0) {
+          // Cache the most recent messages (오래된 순으로 저장, 새 메시지는 뒤에 추가됨)
+          await redisClient.setEx(
+            cacheKey,
+            this.MESSAGES_TTL,
+            JSON.stringify(messages.slice(-this.RECENT_MESSAGE_CACHE))
+          );
+        }
+      }
+    }
+
+    messages = this.sortByTimestamp(messages);
+
+    return {
+      messages,
+      hasMoreBefore,
+      hasMoreAfter,
+      oldestTimestamp: messages[0]?.timestamp || null,
+      newestTimestamp: messages[messages.length - 1]?.timestamp || null,
+      fromCache
+    };
+  }
+
+  // 특정 시점 이후 채팅방의 변경분 조회 (재접속 시 누락 메시지 재전송용)
+  // 변경이 너무 많거나 너무 오래 끊긴 경우 tooFarBehind로 전체 재로딩을 유도
+  static async getRoomChangesSince(roomId, since) {
+    const sinceAt = await this.resolveCursor(roomId, since);
+    if (!sinceAt) {
+      throw this.createError(400, '기준 메시지 또는 시각이 필요합니다.');
+    }
+
+    const emptyResult = {
+      since: sinceAt,
+      messages: [],
+      edits: [],
+      deletions: [],
+      reactions: [],
+      threads: [],
+      tooFarBehind: false
+    };
+
+    if (Date.now() - sinceAt.getTime() > this.RESUME_MAX_AGE) {
+      return { ...emptyResult, tooFarBehind: true };
+    }
+
+    const changed = await Message.find({
+      room: roomId.toString(),
+      updatedAt: { $gt: sinceAt }
+    })
+      .select('timestamp isDeleted deletedAt deletedBy isEdited editedAt content editHistory reactions reactionsUpdatedAt parentMessage replyCount lastReplyAt')
+      .sort({ updatedAt: 1 })
+      .limit(this.RESUME_MAX_CHANGES + 1)
+      .lean();
+
+    if (changed.length > this.RESUME_MAX_CHANGES) {
+      return { ...emptyResult, tooFarBehind: true };
+    }
+
+    const result = { ...emptyResult };
+    const newMessageIds = [];
+
+    for (const message of changed) {
+      const isNew = new Date(message.timestamp) > sinceAt;
+
+      if (message.isDeleted) {
+        // 이후에 생성되었다가 삭제된 메시지는 클라이언트가 모르므로 생략
+        if (!isNew) {
+          result.deletions.push(this.toTombstone(message));
+        }
+        continue;
+      }
+
+      if (isNew) {
+        // 스레드 답글은 부모 메시지의 threads 갱신으로 대체
+        if (!message.parentMessage) {
+          newMessageIds.push(message._id);
+        }
+        continue;
+      }
+
+      if (message.isEdited && message.editedAt > sinceAt) {
+        result.edits.push({
+          messageId: message._id,
+          content: message.content,
+          isEdited: true,
+          editedAt: message.editedAt,
+          editCount: message.editHistory?.length || 0,
+          threadId: message.parentMessage || null
+        });
+      }
+
+      if (message.lastReplyAt && message.lastReplyAt > sinceAt) {
+        result.threads.push({
+          threadId: message._id,
+          replyCount: message.replyCount,
+          lastReplyAt: message.lastReplyAt
+        });
+      }
+
+      // 리액션이 실제로 변경된 메시지만 (고정/답글 수 변경 등은 제외)
+      if (message.reactionsUpdatedAt && message.reactionsUpdatedAt > sinceAt) {
+        result.reactions.push({
+          messageId: message._id,
+          reactions: message.reactions || {}
+        });
+      }
+    }
+
+    if (newMessageIds.length > 0) {
+      const messages = await Message.aggregate([
+        { $match: { _id: { $in: newMessageIds } } },
+        ...this.getLookupStages(),
+        { $project: { __v: 0, updatedAt: 0, isDeleted: 0 } }
+      ]);
+      result.messages = this.sortByTimestamp(messages);
+    }
+
+    return result;
+  }
+
+  // 정규식 특수문자 이스케이프
+  static escapeRegExp(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+
+  // 본문의 @이름 토큰을 채팅방 참여자 기준으로 사용자 ID 목록으로 변환
+  // 공백이 포함된 이름도 있으므로 긴 이름부터 매칭
+  static resolveMentions(content, participants = []) {
+    if (!content || !content.includes('@')) return [];
+
+    const mentioned = new Set();
+    const candidates = [...participants]
+      .filter(user => user?.name)
+      .sort((a, b) => b.name.length - a.name.length);
+
+    let remaining = content;
+    for (const user of candidates) {
+      const pattern = new RegExp(`@${this.escapeRegExp(user.name)}(?=$|[\\s.,!?:;)\\]}'"])`, 'giu');
+      if (pattern.test(remaining)) {
+        mentioned.add(user._id.toString());
+        // 더 짧은 이름이 같은 토큰에 중복 매칭되지 않도록 제거
+        remaining = remaining.replace(pattern, ' ');
+      }
+    }
+
+    return Array.from(mentioned);
+  }
+
+  // HTTP 상태 코드를 포함한 에러 생성 (REST 라우트에서 그대로 사용)
+  static createError(status, message) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+  }
+
+  // 최근 메시지 캐시에서 특정 메시지 제거
+  static async removeFromCache(roomId, messageId) {
+    const cacheKey = this.getCacheKey(roomId);
+    const cached = await redisClient.get(cacheKey) || [];
+    const filtered = cached.filter(m => m._id !== messageId.toString());
+
+    if (filtered.length !== cached.length) {
+      await redisClient.setEx(cacheKey, this.MESSAGES_TTL, JSON.stringify(filtered));
+    }
+  }
+
+  // 캐시된 최근 메시지의 일부 필드 갱신
+  static async updateCachedMessage(roomId, messageId, fields) {
+    const cacheKey = this.getCacheKey(roomId);
+    const cached = await redisClient.get(cacheKey) || [];
+    const idx = cached.findIndex(m => m._id === messageId.toString());
+
+    if (idx !== -1) {
+      Object.assign(cached[idx], fields);
+      await redisClient.setEx(cacheKey, this.MESSAGES_TTL, JSON.stringify(cached));
+    }
+  }
+
+  // 스레드 답글 추가 후 부모 메시지의 답글 수/참여자 갱신
+  static async addThreadReply(parentId, reply) {
+    const parent = await Message.findByIdAndUpdate(
+      parentId,
+      {
+        $inc: { replyCount: 1 },
+        $set: { lastReplyAt: reply.timestamp },
+        $addToSet: { threadParticipants: reply.sender }
+      },
+      { new: true }
+    ).populate('threadParticipants', 'name profileImage');
+
+    if (!parent) return null;
+
+    await this.updateCachedMessage(parent.room, parent._id, {
+      replyCount: parent.replyCount,
+      lastReplyAt: parent.lastReplyAt,
+      threadParticipants: parent.threadParticipants.map(user => user._id)
+    });
+
+    return parent;
+  }
+
+  // threadUpdated 이벤트 페이로드
+  static toThreadUpdate(parent) {
+    return {
+      threadId: parent._id,
+      room: parent.room,
+      replyCount: parent.replyCount,
+      lastReplyAt: parent.lastReplyAt,
+      participants: parent.threadParticipants
+    };
+  }
+
+  // 메시지 수정: 현재 참여 중이고 채팅 금지 상태가 아닌 발신자 본인만 (텍스트 메시지만)
+  // 내용이 같으면 changed: false로 반환 (브로드캐스트 생략)
+  static async editMessage(messageId, userId, content, roomId = null) {
+    const newContent = typeof content === 'string' ? content.trim() : '';
+    if (!newContent) {
+      throw this.createError(400, '메시지 내용이 없습니다.');
+    }
+
+    const message = mongoose.isValidObjectId(messageId)
+      ? await Message.findOne({ _id: messageId, isDeleted: false })
+      : null;
+    if (!message || (roomId && message.room !== roomId.toString())) {
+      throw this.createError(404, '메시지를 찾을 수 없습니다.');
+    }
+
+    if (message.type !== 'text') {
+      throw this.createError(400, '텍스트 메시지만 수정할 수 있습니다.');
+    }
+
+    if (message.sender?.toString() !== userId) {
+      throw this.createError(403, '메시지를 수정할 권한이 없습니다.');
+    }
+
+    // 강퇴/차단되어 채팅방을 떠난 사용자, 채팅 금지된 사용자는 이전 메시지도 수정 불가
+    const room = await Room.findById(message.room).select('creator participants isDirect mutes').lean();
+    if (!RoomService.getRole(room, userId)) {
+      throw this.createError(403, '채팅방 접근 권한이 없습니다.');
+    }
+    ModerationService.assertNotMuted(room, userId);
+
+    if (message.content === newContent) {
+      return { message, changed: false };
+    }
+
+    await message.edit(newContent);
+    await this.updateCachedMessage(message.room, message._id, {
+      content: message.content,
+      isEdited: true,
+      editedAt: message.editedAt,
+      editHistory: message.editHistory
+    });
+
+    if (!message.parentMessage) {
+      await RoomService.refreshLastMessage(message.room, message._id);
+    }
+
+    return { message, changed: true };
+  }
+
+  // messageEdited 이벤트 페이로드
+  static toEditUpdate(message) {
+    return {
+      messageId: message._id,
+      content: message.content,
+      isEdited: true,
+      editedAt: message.editedAt,
+      editCount: message.editHistory.length,
+      threadId: message.parentMessage || null
+    };
+  }
+
+  // 메시지 삭제: 발신자 본인 또는 방장만 가능
+  // 스레드 답글이면 갱신된 부모 정보(threadUpdate)도 함께 반환 (호출 측에서 threadUpdated 브로드캐스트)
+  static async deleteMessage(messageId, userId, roomId = null) {
+    if (!mongoose.isValidObjectId(messageId)) {
+      throw this.createError(404, '메시지를 찾을 수 없습니다.');
+    }
+
+    const message = await Message.findOne({
+      _id: messageId,
+      isDeleted: false
+    });
+
+    if (!message || (roomId && message.room !== roomId.toString())) {
+      throw this.createError(404, '메시지를 찾을 수 없습니다.');
+    }
+
+    const room = await Room.findById(message.room).select('creator participants roles isDirect').lean();
+    const isSender = message.sender?.toString() === userId;
+    // 다른 사람의 메시지는 deleteMessages 권한이 있고 작성자보다 상위 역할인 경우에만 삭제 가능
+    const canModerate = !isSender && !!message.sender &&
+      RoomService.canActOn(room, userId, message.sender, 'deleteMessages');
+    const canDeleteSystemMessage = !message.sender &&
+      RoomService.hasPermission(room, userId, 'deleteMessages');
+
+    if (!isSender && !canModerate && !canDeleteSystemMessage) {
+      throw this.createError(403, '메시지를 삭제할 권한이 없습니다.');
+    }
+
+    await message.softDelete(userId);
+    await this.removeFromCache(message.room, message._id);
+
+    if (!message.parentMessage) {
+      await RoomService.refreshLastMessage(message.room, message._id);
+    }
+
+    // 스레드 답글인 경우 부모 메시지의 답글 수 감소
+    let threadUpdate = null;
+    if (message.parentMessage) {
+      const parent = await Message.findOneAndUpdate(
+        { _id: message.parentMessage, replyCount: { $gt: 0 } },
+        { $inc: { replyCount: -1 } },
+        { new: true }
+      );
+      if (parent) {
+        await this.updateCachedMessage(parent.room, parent._id, {
+          replyCount: parent.replyCount
+        });
+        threadUpdate = this.toThreadUpdate(parent);
+      }
+    }
+
+    // 첨부 파일은 저장소에서도 정리
+    if (message.type === 'file' && message.file) {
+      try {
+        await removeStoredFile(message.file);
+      } catch (error) {
+        console.error('Attached file cleanup error:', {
+          error,
+          messageId: message._id,
+          fileId: message.file
+        });
+      }
+    }
+
+    return { message, threadUpdate };
+  }
+
+  // 고정 메시지 목록 (최근 고정순, loadMessages와 동일한 sender/file populate)
+  static async getPinnedMessages(roomId) {
+    return Message.aggregate([
+      {
+        $match: {
+          room: roomId.toString(),
+          pinnedAt: { $exists: true },
+          isDeleted: false
+        }
+      },
+      { $sort: { pinnedAt: -1 } },
+      { $limit: this.MAX_PINNED_MESSAGES },
+      ...this.getLookupStages(),
+      { $project: { __v: 0, readers: 0, readersData: 0, editHistory: 0 } }
+    ]);
+  }
+
+  // 메시지 고정/해제 (pin 권한 필요, 채팅방당 최대 MAX_PINNED_MESSAGES개)
+  static async setPinned(messageId, userId, pinned) {
+    const message = mongoose.isValidObjectId(messageId)
+      ? await Message.findOne({ _id: messageId, isDeleted: false })
+      : null;
+    if (!message) {
+      throw this.createError(404, '메시지를 찾을 수 없습니다.');
+    }
+
+    const room = await Room.findById(message.room).select('creator participants roles isDirect').lean();
+    if (!RoomService.hasPermission(room, userId, 'pin')) {
+      throw this.createError(403, '메시지를 고정할 권한이 없습니다.');
+    }
+
+    if (pinned && !message.pinnedAt) {
+      const pinnedCount = await Message.countDocuments({
+        room: message.room,
+        pinnedAt: { $exists: true },
+        isDeleted: false
+      });
+      if (pinnedCount >= this.MAX_PINNED_MESSAGES) {
+        throw this.createError(400, `메시지는 최대 ${this.MAX_PINNED_MESSAGES}개까지 고정할 수 있습니다.`);
+      }
+      message.pinnedAt = new Date();
+      message.pinnedBy = userId;
+    } else if (!pinned && message.pinnedAt) {
+      message.pinnedAt = undefined;
+      message.pinnedBy = undefined;
+    } else {
+      return message;
+    }
+
+    await message.save();
+    await this.updateCachedMessage(message.room, message._id, {
+      pinnedAt: message.pinnedAt || null,
+      pinnedBy: message.pinnedBy || null
+    });
+
+    return message;
+  }
+
+  // pinsUpdated 이벤트 페이로드
+  static async toPinsUpdate(message, userId, action) {
+    return {
+      roomId: message.room,
+      action,
+      messageId: message._id,
+      by: userId,
+      pins: await this.getPinnedMessages(message.room),
+      timestamp: new Date()
+    };
+  }
+
+  // 채팅방 삭제 시 메시지, 첨부 파일(S3), 최근 메시지 캐시 일괄 정리
+  static async deleteRoomMessages(roomId) {
+    const room = roomId.toString();
+    const fileMessages = await Message.find({
+      room,
+      file: { $ne: null }
+    }).select('file').lean();
+
+    for (const { file } of fileMessages) {
+      try {
+        await removeStoredFile(file);
+      } catch (error) {
+        console.error('Room file cleanup error:', {
+          error,
+          roomId: room,
+          fileId: file
+        });
+      }
+    }
+
+    const { deletedCount } = await Message.deleteMany({ room });
+    await redisClient.del(this.getCacheKey(room));
+
+    return {
+      deletedMessages: deletedCount,
+      deletedFiles: fileMessages.length
+    };
+  }
+
+  // 삭제된 메시지를 알리는 tombstone 페이로드
+  static toTombstone(message) {
+    return {
+      messageId: message._id,
+      room: message.room,
+      threadId: message.parentMessage || null,
+      deletedBy: message.deletedBy,
+      deletedAt: message.deletedAt
+    };
+  }
+}
+
+module.exports = MessageService;
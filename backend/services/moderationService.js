@@ -0,0 +1,256 @@
+const mongoose = require('mongoose');
+const Room = require('../models/Room');
+const User = require('../models/User');
+const Message = require('../models/Message');
+const RoomService = require('./roomService');
+const PresenceService = require('./presenceService');
+const redisClient = require('../utils/redisClient');
+
+// 채팅방 관리 조치: 강퇴(kick), 입장 차단(ban), 채팅 금지(mute)
+class ModerationService {
+  static MAX_DURATION = 365 * 24 * 60 * 60; // 기간 제한 최대값 (1년, 초 단위)
+
+  // 만료되지 않은 항목인지 확인 (expiresAt이 없으면 무기한)
+  static isActive(entry) {
+    return !!entry && (!entry.expiresAt || new Date(entry.expiresAt) > new Date());
+  }
+
+  static findActiveEntry(entries, userId) {
+    if (!userId) return null;
+    const id = userId.toString();
+    return (entries || []).find(entry =>
+      (entry.user?._id || entry.user)?.toString() === id && this.isActive(entry)
+    ) || null;
+  }
+
+  static getActiveBan(room, userId) {
+    return this.findActiveEntry(room?.bans, userId);
+  }
+
+  static getActiveMute(room, userId) {
+    return this.findActiveEntry(room?.mutes, userId);
+  }
+
+  // 채팅 금지 상태이면 예외 (메시지 전송/수정 공통, 읽기만 가능)
+  static assertNotMuted(room, userId) {
+    const activeMute = this.getActiveMute(room, userId);
+    if (!activeMute) return;
+
+    const error = RoomService.createError(403, activeMute.expiresAt
+      ? `채팅이 금지된 상태입니다. (${new Date(activeMute.expiresAt).toLocaleString('ko-KR')}까지)`
+      : '채팅이 금지된 상태입니다.');
+    error.code = 'MUTED';
+    throw error;
+  }
+
+  // duration(초) → 만료 시각 (없으면 무기한)
+  static toExpiresAt(duration) {
+    if (duration === undefined || duration === null || duration === '') return null;
+
+    const seconds = parseInt(duration);
+    if (isNaN(seconds) || seconds <= 0 || seconds > this.MAX_DURATION) {
+      throw RoomService.createError(400, `기간은 1초 이상 ${this.MAX_DURATION}초 이하로 입력해주세요.`);
+    }
+    return new Date(Date.now() + seconds * 1000);
+  }
+
+  // 조치 대상 확인 (권한, 역할 순위, 사용자 존재 여부)
+  static async resolveTarget(roomId, actorId, targetId, permission, requireParticipant = true) {
+    const room = await RoomService.requirePermission(
+      roomId,
+      actorId,
+      permission,
+      'name creator participants roles isDirect bans mutes'
+    );
+
+    const target = mongoose.isValidObjectId(targetId)
+      ? await User.findById(targetId).select('name').lean()
+      : null;
+    if (!target) {
+      throw RoomService.createError(404, '사용자를 찾을 수 없습니다.');
+    }
+
+    if (requireParticipant && !RoomService.getRole(room, targetId)) {
+      throw RoomService.createError(404, '채팅방 참여자가 아닙니다.');
+    }
+
+    if (!RoomService.canActOn(room, actorId, targetId, permission)) {
+      throw RoomService.createError(403, '자신과 같거나 높은 역할의 참여자에게는 조치할 수 없습니다.');
+    }
+
+    return { room, target };
+  }
+
+  // 시스템 메시지 저장 및 전송
+  static async postSystemMessage(io, roomId, content) {
+    const message = await Message.create({
+      room: roomId.toString(),
+      content,
+      type: 'system',
+      timestamp: new Date()
+    });
+
+    if (io) {
+      io.to(roomId.toString()).emit('message', message);
+    }
+    return message;
+  }
+
+  // 대상 사용자의 모든 연결(다른 pod 포함)을 Socket.IO 방에서 내보내고 참여자 정보 갱신
+  static async removeFromRoom(io, roomId, targetId) {
+    const id = roomId.toString();
+
+    const updatedRoom = await Room.findByIdAndUpdate(
+      id,
+      { $pull: { participants: targetId, roles: { user: targetId } } },
+      { new: true }
+    ).populate('participants', 'name email profileImage');
+
+    await redisClient.setOps.srem(PresenceService.getUserRoomsKey(targetId), id);
+    await PresenceService.setOffline(id, targetId);
+    await RoomService.invalidateRoomListCache();
+
+    if (!io || !updatedRoom) return updatedRoom;
+
+    io.in(`user:${targetId}`).socketsLeave(id);
+    io.to(id).emit('participantsUpdate', updatedRoom.participants);
+    io.to(id).emit(
+      'presenceUpdate',
+      await PresenceService.toPresenceUpdate(id, targetId.toString(), 'offline')
+    );
+    RoomService.emitParticipantsCount(io, updatedRoom);
+
+    return updatedRoom;
+  }
+
+  // 조치 결과를 채팅방과 대상 사용자에게 알림
+  static notify(io, room, action, target, actorId, details = {}) {
+    const payload = {
+      roomId: room._id.toString(),
+      roomName: room.name,
+      action,
+      userId: target._id.toString(),
+      by: actorId.toString(),
+      reason: details.reason || null,
+      expiresAt: details.expiresAt || null,
+      timestamp: new Date()
+    };
+
+    if (io) {
+      io.to(payload.roomId).emit('moderationUpdate', payload);
+      io.to(`user:${payload.userId}`).emit(action, payload);
+    }
+    return payload;
+  }
+
+  static async kick(io, roomId, actorId, targetId, { reason } = {}) {
+    const { room, target } = await this.resolveTarget(roomId, actorId, targetId, 'kick');
+
+    await this.removeFromRoom(io, room._id, targetId);
+    await this.postSystemMessage(io, room._id, `${target.name}님이 강퇴되었습니다.`);
+
+    return this.notify(io, room, 'kicked', target, actorId, { reason });
+  }
+
+  static async ban(io, roomId, actorId, targetId, { reason, duration } = {}) {
+    const expiresAt = this.toExpiresAt(duration);
+    const { room, target } = await this.resolveTarget(roomId, actorId, targetId, 'ban', false);
+
+    await Room.updateOne({ _id: room._id }, { $pull: { bans: { user: targetId } } });
+    await Room.updateOne(
+      { _id: room._id },
+      {
+        $push: {
+          bans: {
+            user: targetId,
+            reason,
+            bannedBy: actorId,
+            bannedAt: new Date(),
+            expiresAt
+          }
+        }
+      }
+    );
+
+    if (RoomService.getRole(room, targetId)) {
+      await this.removeFromRoom(io, room._id, targetId);
+    }
+    await this.postSystemMessage(io, room._id, `${target.name}님이 입장 차단되었습니다.`);
+
+    return this.notify(io, room, 'banned', target, actorId, { reason, expiresAt });
+  }
+
+  static async unban(io, roomId, actorId, targetId) {
+    const room = await RoomService.requirePermission(roomId, actorId, 'ban', 'name creator participants roles isDirect bans');
+
+    if (!this.getActiveBan(room, targetId)) {
+      throw RoomService.createError(404, '입장 차단된 사용자가 아닙니다.');
+    }
+
+    await Room.updateOne({ _id: room._id }, { $pull: { bans: { user: targetId } } });
+
+    const target = await User.findById(targetId).select('name').lean();
+    if (target) {
+      await this.postSystemMessage(io, room._id, `${target.name}님의 입장 차단이 해제되었습니다.`);
+    }
+
+    return this.notify(io, room, 'unbanned', { _id: targetId }, actorId);
+  }
+
+  static async mute(io, roomId, actorId, targetId, { reason, duration } = {}) {
+    const expiresAt = this.toExpiresAt(duration);
+    const { room, target } = await this.resolveTarget(roomId, actorId, targetId, 'mute');
+
+    await Room.updateOne({ _id: room._id }, { $pull: { mutes: { user: targetId } } });
+    await Room.updateOne(
+      { _id: room._id },
+      {
+        $push: {
+          mutes: {
+            user: targetId,
+            reason,
+            mutedBy: actorId,
+            mutedAt: new Date(),
+            expiresAt
+          }
+        }
+      }
+    );
+
+    await this.postSystemMessage(io, room._id, `${target.name}님의 채팅이 금지되었습니다.`);
+
+    return this.notify(io, room, 'muted', target, actorId, { reason, expiresAt });
+  }
+
+  static async unmute(io, roomId, actorId, targetId) {
+    const room = await RoomService.requirePermission(roomId, actorId, 'mute', 'name creator participants roles isDirect mutes');
+
+    if (!this.getActiveMute(room, targetId)) {
+      throw RoomService.createError(404, '채팅 금지된 사용자가 아닙니다.');
+    }
+
+    await Room.updateOne({ _id: room._id }, { $pull: { mutes: { user: targetId } } });
+
+    const target = await User.findById(targetId).select('name').lean();
+    if (target) {
+      await this.postSystemMessage(io, room._id, `${target.name}님의 채팅 금지가 해제되었습니다.`);
+    }
+
+    return this.notify(io, room, 'unmuted', { _id: targetId }, actorId);
+  }
+
+  // 유효한 차단/채팅 금지 목록 (type: 'bans' | 'mutes')
+  static async listActive(roomId, actorId, type) {
+    const permission = type === 'bans' ? 'ban' : 'mute';
+    await RoomService.requirePermission(roomId, actorId, permission);
+
+    const room = await Room.findById(roomId)
+      .select(type)
+      .populate(`${type}.user`, 'name email profileImage')
+      .lean();
+
+    return (room?.[type] || []).filter(entry => entry.user && this.isActive(entry));
+  }
+}
+
+module.exports = ModerationService;
@@ -0,0 +1,45 @@
+const redisClient = require('../utils/redisClient');
+
+// 채팅방 멤버십(Room.participants)과 별개로 현재 접속 중인 사용자를 Redis Set으로 관리
+class PresenceService {
+  static PRESENCE_PREFIX = 'room:presence:';
+  static PRESENCE_TTL = 24 * 60 * 60; // 비정상 종료된 pod가 남긴 데이터 정리용 (24 hours)
+
+  static getPresenceKey(roomId) {
+    return `${this.PRESENCE_PREFIX}${roomId}`;
+  }
+
+  // 사용자가 구독 중인 채팅방 Set 키 (한 연결로 여러 채팅방 동시 구독)
+  static getUserRoomsKey(userId) {
+    return `userRooms:${userId}`;
+  }
+
+  static async setOnline(roomId, userId) {
+    const key = this.getPresenceKey(roomId);
+    await redisClient.setOps.sadd(key, userId.toString());
+    await redisClient.expire(key, this.PRESENCE_TTL);
+  }
+
+  static async setOffline(roomId, userId) {
+    await redisClient.setOps.srem(this.getPresenceKey(roomId), userId.toString());
+  }
+
+  static async getOnlineUserIds(roomId) {
+    return (await redisClient.setOps.smembers(this.getPresenceKey(roomId))) || [];
+  }
+
+  // presenceUpdate 이벤트 페이로드
+  static async toPresenceUpdate(roomId, userId, status) {
+    const onlineUserIds = await this.getOnlineUserIds(roomId);
+    return {
+      roomId,
+      userId,
+      status,
+      onlineUserIds,
+      onlineCount: onlineUserIds.length,
+      timestamp: new Date()
+    };
+  }
+}
+
+module.exports = PresenceService;
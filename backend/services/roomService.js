@@ -0,0 +1,505 @@
+const mongoose = require('mongoose');
+const Room = require('../models/Room');
+const Message = require('../models/Message');
+const ReadCursor = require('../models/ReadCursor');
+const RoomInvite = require('../models/RoomInvite');
+const PresenceService = require('./presenceService');
+const redisClient = require('../utils/redisClient');
+
+class RoomService {
+  static ROOM_LIST_TTL = 30; // 30 seconds - much shorter for immediate updates
+  static ROOM_LIST_KEYS = 'room:list:{all}:keys';
+  static LAST_MESSAGE_SNIPPET_LENGTH = 100;
+  static NAME_MAX_LENGTH = 50;
+  static DESCRIPTION_MAX_LENGTH = 500;
+  static ROOM_LIST_CHANNEL = 'room-list'; // 로비(채팅방 목록) 실시간 구독 채널
+  static ROOM_LIST_INVALIDATE_DELAY = 1000; // 새 메시지로 인한 목록 캐시 무효화 최소 간격 (ms)
+  static roomListInvalidationTimer = null;
+
+  // 채팅방 역할 (숫자가 클수록 상위 역할)
+  static ROLE_RANK = {
+    member: 0,
+    moderator: 1,
+    admin: 2,
+    owner: 3
+  };
+
+  // 역할별 권한 매트릭스
+  static ROLE_PERMISSIONS = {
+    owner: ['rename', 'changePassword', 'changeVisibility', 'kick', 'ban', 'mute', 'deleteMessages', 'pin', 'manageRoles', 'manageInvites', 'manageAiPersonas', 'deleteRoom'],
+    admin: ['rename', 'changePassword', 'changeVisibility', 'kick', 'ban', 'mute', 'deleteMessages', 'pin', 'manageRoles', 'manageInvites', 'manageAiPersonas'],
+    moderator: ['kick', 'mute', 'deleteMessages', 'pin'],
+    member: []
+  };
+
+  // 역할 관리 API로 부여/회수할 수 있는 역할 (owner는 creator로만 결정)
+  static ASSIGNABLE_ROLES = ['admin', 'moderator', 'member'];
+
+  // DM은 역할 없이 모든 참여자가 동일한 권한을 가짐 (참여자 구성 변경 불가)
+  static DIRECT_PERMISSIONS = ['rename', 'pin', 'manageAiPersonas'];
+  static MAX_DIRECT_PARTICIPANTS = 10;
+
+  static VISIBILITIES = ['public', 'unlisted', 'private'];
+
+  // 채팅방 목록 캐시 키를 Set에 등록 (cluster-safe 무효화용)
+  static async addRoomListCacheKey(key) {
+    try {
+      await redisClient.setOps.sadd(this.ROOM_LIST_KEYS, key);
+    } catch (err) {
+      console.error('Failed to add cache key to set:', err);
+    }
+  }
+
+  // 등록된 모든 채팅방 목록 캐시 무효화
+  static async invalidateRoomListCache() {
+    try {
+      const keys = await redisClient.setOps.smembers(this.ROOM_LIST_KEYS);
+      if (keys && keys.length > 0) {
+        // 클러스터 환경에서는 키마다 슬롯이 다를 수 있으므로 개별 삭제
+        await Promise.all(keys.map(key => redisClient.del(key)));
+        await redisClient.del(this.ROOM_LIST_KEYS);
+      }
+    } catch (err) {
+      console.error('Failed to invalidate room list cache:', err);
+    }
+  }
+
+  // 새 메시지마다 무효화하지 않고 간격 내 요청을 모아 한 번만 무효화 (목록은 최대 ROOM_LIST_INVALIDATE_DELAY만큼 지연)
+  static scheduleRoomListInvalidation() {
+    if (this.roomListInvalidationTimer) return;
+
+    this.roomListInvalidationTimer = setTimeout(() => {
+      this.roomListInvalidationTimer = null;
+      this.invalidateRoomListCache();
+    }, this.ROOM_LIST_INVALIDATE_DELAY);
+    this.roomListInvalidationTimer.unref?.();
+  }
+
+  static createError(status, message) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+  }
+
+  // 사용자의 채팅방 내 역할 조회 (참여자가 아니면 null)
+  static getRole(room, userId) {
+    if (!room || !userId) return null;
+    const id = userId.toString();
+
+    const isParticipant = (room.participants || [])
+      .some(participant => (participant?._id || participant).toString() === id);
+
+    if (room.isDirect) return isParticipant ? 'member' : null;
+    if ((room.creator?._id || room.creator)?.toString() === id) return 'owner';
+    if (!isParticipant) return null;
+
+    const assigned = (room.roles || [])
+      .find(entry => (entry.user?._id || entry.user)?.toString() === id);
+    return assigned?.role || 'member';
+  }
+
+  static getPermissions(room, userId) {
+    const role = this.getRole(room, userId);
+    if (!role) return [];
+    return room.isDirect ? this.DIRECT_PERMISSIONS : this.ROLE_PERMISSIONS[role];
+  }
+
+  static hasPermission(room, userId, permission) {
+    return this.getPermissions(room, userId).includes(permission);
+  }
+
+  // 공개 목록/로비에 노출되는 채팅방인지 (visibility 필드 추가 전 생성된 방은 public)
+  static isListed(room) {
+    return !!room && !room.isDirect && (room.visibility || 'public') === 'public';
+  }
+
+  // 참여자가 아닌 사용자에게 보여줄 채팅방 정보 (private 방은 존재 자체를 숨김)
+  static toPublicRoomInfo(room) {
+    return {
+      _id: room._id,
+      name: room.name,
+      description: room.description || '',
+      visibility: room.visibility || 'public',
+      hasPassword: !!room.hasPassword,
+      creator: room.creator,
+      participantsCount: room.participants?.length || 0,
+      createdAt: room.createdAt,
+      lastActivityAt: room.lastActivityAt || room.createdAt
+    };
+  }
+
+  // 참여자에게 보여줄 채팅방 상세 정보 (비밀번호, 입장 차단/채팅 금지 목록 제외)
+  // 차단/금지 목록은 권한이 있는 사용자만 GET /:roomId/bans, /mutes로 조회
+  static toRoomDetail(room) {
+    return {
+      ...room,
+      password: undefined,
+      bans: undefined,
+      mutes: undefined
+    };
+  }
+
+  // 권한 확인 + 대상보다 상위 역할인지 확인 (같은/상위 역할에는 조치 불가)
+  static canActOn(room, actorId, targetId, permission) {
+    if (!this.hasPermission(room, actorId, permission)) return false;
+    const actorRank = this.ROLE_RANK[this.getRole(room, actorId)];
+    const targetRank = this.ROLE_RANK[this.getRole(room, targetId) || 'member'];
+    return actorRank > targetRank;
+  }
+
+  // 권한 검사용 채팅방 조회 (없으면 404, 권한이 없으면 403)
+  static async requirePermission(roomId, userId, permission, fields = 'creator participants roles isDirect') {
+    const room = mongoose.isValidObjectId(roomId)
+      ? await Room.findById(roomId).select(fields).lean()
+      : null;
+    if (!room) {
+      throw this.createError(404, '채팅방을 찾을 수 없습니다.');
+    }
+    if (!this.hasPermission(room, userId, permission)) {
+      throw this.createError(403, '이 작업을 수행할 권한이 없습니다.');
+    }
+    return room;
+  }
+
+  // 참여자별 역할 목록
+  static toRoleList(room) {
+    return (room.participants || []).map(participant => ({
+      user: participant,
+      role: this.getRole(room, participant._id || participant)
+    }));
+  }
+
+  // 역할 부여/회수 (member 지정 시 회수). 자신보다 낮은 역할만 부여할 수 있음
+  static async assignRole(roomId, actorId, targetId, role) {
+    if (!this.ASSIGNABLE_ROLES.includes(role)) {
+      throw this.createError(400, `지정 가능한 역할은 ${this.ASSIGNABLE_ROLES.join(', ')}입니다.`);
+    }
+
+    const room = await this.requirePermission(roomId, actorId, 'manageRoles');
+    const targetRole = this.getRole(room, targetId);
+
+    if (!targetRole) {
+      throw this.createError(404, '채팅방 참여자가 아닙니다.');
+    }
+
+    const actorRank = this.ROLE_RANK[this.getRole(room, actorId)];
+    if (this.ROLE_RANK[targetRole] >= actorRank || this.ROLE_RANK[role] >= actorRank) {
+      throw this.createError(403, '자신과 같거나 높은 역할은 변경할 수 없습니다.');
+    }
+
+    await Room.updateOne(
+      { _id: roomId },
+      { $pull: { roles: { user: targetId } } }
+    );
+    if (role !== 'member') {
+      await Room.updateOne(
+        { _id: roomId },
+        {
+          $push: {
+            roles: {
+              user: targetId,
+              role,
+              assignedBy: actorId,
+              assignedAt: new Date()
+            }
+          }
+        }
+      );
+    }
+
+    return {
+      roomId: roomId.toString(),
+      userId: targetId.toString(),
+      role,
+      previousRole: targetRole,
+      assignedBy: actorId.toString()
+    };
+  }
+
+  // 채팅방 정보 수정 (name/description: rename, password/removePassword: changePassword, visibility: changeVisibility 권한)
+  static async updateRoom(roomId, userId, { name, description, password, removePassword, visibility } = {}) {
+    const room = mongoose.isValidObjectId(roomId)
+      ? await Room.findById(roomId).select('+password')
+      : null;
+    if (!room) {
+      throw this.createError(404, '채팅방을 찾을 수 없습니다.');
+    }
+
+    const changesInfo = name !== undefined || description !== undefined;
+    const changesPassword = password !== undefined || !!removePassword;
+
+    const changesVisibility = visibility !== undefined;
+
+    if (!changesInfo && !changesPassword && !changesVisibility) {
+      throw this.createError(400, '변경할 내용이 없습니다.');
+    }
+    if (changesVisibility && !this.hasPermission(room, userId, 'changeVisibility')) {
+      throw this.createError(403, '채팅방 공개 범위를 변경할 권한이 없습니다.');
+    }
+    if (changesInfo && !this.hasPermission(room, userId, 'rename')) {
+      throw this.createError(403, '채팅방 정보를 수정할 권한이 없습니다.');
+    }
+    if (changesPassword && !this.hasPermission(room, userId, 'changePassword')) {
+      throw this.createError(403, '채팅방 비밀번호를 변경할 권한이 없습니다.');
+    }
+
+    if (name !== undefined) {
+      const trimmed = String(name).trim();
+      if (!trimmed) {
+        throw this.createError(400, '방 이름은 필수입니다.');
+      }
+      if (trimmed.length > this.NAME_MAX_LENGTH) {
+        throw this.createError(400, `방 이름은 ${this.NAME_MAX_LENGTH}자 이하로 입력해주세요.`);
+      }
+      room.name = trimmed;
+    }
+
+    if (description !== undefined) {
+      const trimmed = String(description || '').trim();
+      if (trimmed.length > this.DESCRIPTION_MAX_LENGTH) {
+        throw this.createError(400, `설명은 ${this.DESCRIPTION_MAX_LENGTH}자 이하로 입력해주세요.`);
+      }
+      room.description = trimmed;
+    }
+
+    if (removePassword) {
+      room.password = undefined;
+    } else if (password !== undefined) {
+      if (!String(password)) {
+        throw this.createError(400, '비밀번호를 입력해주세요.');
+      }
+      room.password = String(password);
+    }
+
+    if (changesVisibility) {
+      if (!this.VISIBILITIES.includes(visibility)) {
+        throw this.createError(400, `공개 범위는 ${this.VISIBILITIES.join(', ')} 중 하나여야 합니다.`);
+      }
+      room.visibility = visibility;
+    }
+
+    await room.save();
+    await this.invalidateRoomListCache();
+
+    return room;
+  }
+
+  // 채팅방 문서 및 채팅방 관련 Redis 상태 삭제 (메시지/파일은 MessageService.deleteRoomMessages)
+  static async deleteRoom(roomId, userId) {
+    const room = mongoose.isValidObjectId(roomId)
+      ? await Room.findById(roomId).select('name creator participants roles isDirect').lean()
+      : null;
+    if (!room) {
+      throw this.createError(404, '채팅방을 찾을 수 없습니다.');
+    }
+    if (!this.hasPermission(room, userId, 'deleteRoom')) {
+      throw this.createError(403, '채팅방을 삭제할 권한이 없습니다.');
+    }
+
+    const id = room._id.toString();
+    await Room.deleteOne({ _id: room._id });
+    await ReadCursor.deleteMany({ room: id });
+    await RoomInvite.deleteMany({ room: room._id });
+    // aiPersonaService가 roomService를 참조하므로 순환 참조를 피하기 위해 여기서 로드
+    await require('./aiPersonaService').deleteRoomPersonas(id);
+
+    await Promise.all(room.participants.map(participant =>
+      redisClient.setOps.srem(PresenceService.getUserRoomsKey(participant.toString()), id)
+    ));
+    await redisClient.del(PresenceService.getPresenceKey(id));
+    await this.invalidateRoomListCache();
+
+    return room;
+  }
+
+  // 참여자 조합별 DM 키 (순서/중복과 무관하게 동일한 조합이면 같은 키)
+  static getDirectKey(userIds) {
+    return [...new Set(userIds.map(id => id.toString()))].sort().join(':');
+  }
+
+  // DM 조회 또는 생성 (같은 참여자 조합의 DM이 있으면 재사용)
+  static async findOrCreateDirectRoom(userId, otherUserIds, users) {
+    const participantIds = [...new Set([userId, ...otherUserIds].map(id => id.toString()))];
+    const directKey = this.getDirectKey(participantIds);
+
+    const existing = await Room.findOne({ directKey });
+    if (existing) return { room: existing, created: false };
+
+    const names = participantIds
+      .map(id => users.find(user => user._id.toString() === id)?.name)
+      .filter(Boolean)
+      .join(', ');
+
+    try {
+      const room = await Room.create({
+        name: names.slice(0, this.NAME_MAX_LENGTH) || 'DM',
+        creator: userId,
+        participants: participantIds,
+        visibility: 'private',
+        isDirect: true,
+        directKey
+      });
+      return { room, created: true };
+    } catch (error) {
+      // 동시에 같은 DM을 생성한 경우
+      if (error.code === 11000) {
+        return { room: await Room.findOne({ directKey }), created: false };
+      }
+      throw error;
+    }
+  }
+
+  // 채팅방 목록 항목 형태로 변환 (사용자 공통 데이터만 포함)
+  static toRoomListItem(room) {
+    const creator = room.creator || { _id: 'unknown', name: '알 수 없음', email: '' };
+
+    return {
+      _id: room._id?.toString() || 'unknown',
+      name: room.name || '제목 없음',
+      description: room.description || '',
+      visibility: room.visibility || 'public',
+      isDirect: !!room.isDirect,
+      hasPassword: !!room.hasPassword,
+      creator: {
+        _id: creator._id?.toString() || 'unknown',
+        name: creator.name || '알 수 없음',
+        email: creator.email || ''
+      },
+      participantsCount: room.participantsCount ?? room.participants?.length ?? 0,
+      createdAt: room.createdAt || new Date(),
+      lastMessage: room.lastMessage?._id ? room.lastMessage : null,
+      lastActivityAt: room.lastActivityAt || room.createdAt || new Date()
+    };
+  }
+
+  // 채팅방 목록 구독자에게 이벤트 전송 (redis-adapter를 통해 모든 pod에 전달)
+  static emitRoomList(io, event, payload) {
+    if (!io) return;
+    io.to(this.ROOM_LIST_CHANNEL).emit(event, payload);
+  }
+
+  // 참여자 수 변경 알림 (공개 방만 로비에 전달)
+  static emitParticipantsCount(io, room) {
+    if (!room || !this.isListed(room)) return;
+    this.emitRoomList(io, 'roomParticipantsUpdated', {
+      _id: room._id.toString(),
+      participantsCount: room.participants.length
+    });
+  }
+
+  // 채팅방 목록 미리보기용 마지막 메시지 요약
+  static toLastMessage(message, sender = null) {
+    const text = message.type === 'file'
+      ? message.content || message.metadata?.originalName || ''
+      : message.content || '';
+
+    return {
+      _id: message._id,
+      sender: sender ? { _id: sender._id, name: sender.name } : null,
+      aiType: message.aiType || null,
+      type: message.type,
+      snippet: text.length > this.LAST_MESSAGE_SNIPPET_LENGTH
+        ? `${text.slice(0, this.LAST_MESSAGE_SNIPPET_LENGTH)}…`
+        : text,
+      timestamp: message.timestamp
+    };
+  }
+
+  // 새 메시지 기준으로 마지막 메시지/활동 시각 갱신 후 목록 캐시 무효화 예약
+  // 로비에 알릴 변경이 있으면 변경 필드 반환 (DM, 비공개 방은 공개 목록에 없으므로 null)
+  static async recordLastMessage(message, sender = null) {
+    try {
+      const lastMessage = this.toLastMessage(message, sender);
+      const room = await Room.findOneAndUpdate(
+        {
+          _id: message.room,
+          $or: [
+            { lastActivityAt: { $lte: message.timestamp } },
+            { lastActivityAt: null }
+          ]
+        },
+        {
+          $set: {
+            lastMessage,
+            lastActivityAt: message.timestamp
+          }
+        },
+        { projection: { isDirect: 1, visibility: 1 } }
+      ).lean();
+
+      if (!room) return null;
+
+      // DM은 채팅방 목록에 포함되지 않으므로 목록 캐시와 무관
+      if (!room.isDirect) {
+        this.scheduleRoomListInvalidation();
+      }
+      if (!this.isListed(room)) return null;
+
+      return {
+        _id: message.room.toString(),
+        lastMessage,
+        lastActivityAt: message.timestamp
+      };
+    } catch (err) {
+      console.error('Failed to record last message:', err);
+      return null;
+    }
+  }
+
+  // 마지막 메시지가 수정/삭제된 경우 미리보기를 다시 계산
+  static async refreshLastMessage(roomId, messageId) {
+    try {
+      const room = await Room.findOne({
+        _id: roomId,
+        'lastMessage._id': messageId
+      }).select('_id').lean();
+      if (!room) return;
+
+      const latest = await Message.findOne({
+        room: roomId.toString(),
+        isDeleted: false,
+        parentMessage: null,
+        type: { $ne: 'system' }
+      })
+        .sort({ timestamp: -1 })
+        .populate('sender', 'name')
+        .lean();
+
+      await Room.updateOne(
+        { _id: roomId },
+        latest
+          ? { $set: { lastMessage: this.toLastMessage(latest, latest.sender) } }
+          : { $unset: { lastMessage: 1 } }
+      );
+      await this.invalidateRoomListCache();
+    } catch (err) {
+      console.error('Failed to refresh last message:', err);
+    }
+  }
+
+  // 공통(캐시된) 채팅방 목록에 사용자별 상태 추가: 방장 여부, 안 읽은 메시지 수, 마지막 읽은 시각
+  static async applyUserRoomState(rooms, userId) {
+    if (!rooms?.length) return [];
+
+    const roomIds = rooms.map(room => room._id);
+    const memberRooms = await Room.find({
+      _id: { $in: roomIds },
+      participants: userId
+    }).select('_id').lean();
+    const memberRoomIds = memberRooms.map(room => room._id.toString());
+    const summary = await ReadCursor.getUnreadSummary(userId, memberRoomIds);
+
+    return rooms.map(room => {
+      const roomState = summary.get(room._id.toString());
+      return {
+        ...room,
+        isCreator: room.creator?._id?.toString() === userId,
+        isMember: !!roomState,
+        unreadCount: roomState?.unreadCount || 0,
+        lastReadAt: roomState?.lastReadAt || null
+      };
+    });
+  }
+}
+
+module.exports = RoomService;
@@ -2,24 +2,33 @@ const Message = require('../models/Message');
 const Room = require('../models/Room');
 const User = require('../models/User');
 const File = require('../models/File');
+const ReadCursor = require('../models/ReadCursor');
 const jwt = require('jsonwebtoken');
 const { jwtSecret } = require('../config/keys');
 const redisClient = require('../utils/redisClient');
 const SessionService = require('../services/sessionService');
 const aiService = require('../services/aiService');
+const MessageService = require('../services/messageService');
+const RoomService = require('../services/roomService');
+const PresenceService = require('../services/presenceService');
+const ModerationService = require('../services/moderationService');
+const AiPersonaService = require('../services/aiPersonaService');
 const MESSAGES_TTL = 24 * 60 * 60; // 24 hours
 
 const RECENT_MESSAGE_CACHE = 50;
-const CHAT_MESSAGE_TTL = 24 * 60 * 60; // 24 hours
 // Pub/Sub removed for load testing optimization
 
 module.exports = function(io) {
   const BATCH_SIZE = 30;  // 한 번에 로드할 메시지 수
   const LOAD_DELAY = 300; // 메시지 로드 딜레이 (ms)
   const MAX_RETRIES = 3;  // 최대 재시도 횟수
-  const MESSAGE_LOAD_TIMEOUT = 10000; // 메시지 로드 타임아웃 (10초)
   const RETRY_DELAY = 2000; // 재시도 간격 (2초)
   const DUPLICATE_LOGIN_TIMEOUT = 10000; // 중복 로그인 타임아웃 (10초)
+  const TYPING_TIMEOUT = 5000; // 입력 중 상태 자동 만료 (5초)
+  const TYPING_THROTTLE = 2000; // 소켓별 입력 중 브로드캐스트 최소 간격 (2초)
+
+  // 사용자가 구독 중인 채팅방 Set 키 (한 연결로 여러 채팅방 동시 구독)
+  const getUserRoomsKey = (userId) => PresenceService.getUserRoomsKey(userId);
 
   // 로깅 유틸리티 함수
   const logDebug = (action, data) => {
@@ -29,169 +38,85 @@ module.exports = function(io) {
     });
   };
 
-  // 로드 테스트 최적화: 캐싱 + Aggregation Pipeline을 사용한 메시지 로드 함수
-  const loadMessages = async (socket, roomId, before, limit = BATCH_SIZE) => {
-    let timeoutId; // Declare a variable to hold the timeout ID
-    const timeoutPromise = new Promise((_, reject) => {
-      timeoutId = setTimeout(() => { // Assign the ID here
-        reject(new Error('Message loading timed out'));
-      }, MESSAGE_LOAD_TIMEOUT);
-    });
+  // 채팅방별 진행 중인 AI 스트리밍 세션 ID Set 키 (재접속 시 이어받기용)
+  const getAIStreamsKey = (roomId) => `room:aiStreams:${roomId}`;
+  const STREAMING_SESSION_TTL = 600; // 10분
+
+  const clearStreamingSession = async (roomId, messageId) => {
+    await redisClient.del('streamingSession:' + messageId);
+    await redisClient.setOps.srem(getAIStreamsKey(roomId), messageId);
+  };
 
+  // 진행 중인 AI 응답의 현재까지 내용을 이 소켓에만 전송 (이후 청크는 채팅방 브로드캐스트로 계속 수신)
+  // 전송 직전/직후 도착한 청크와 겹칠 수 있으므로 클라이언트는 더 긴 fullContent를 사용
+  const sendActiveAIStreams = async (socket, roomId) => {
     try {
-      // 캐시 체크 (최근 메시지만)
-      let cachedMessages = [];
-      if (!before) {
-        cachedMessages = await redisClient.get(`room:messages:${roomId}`) || [];
-        if (cachedMessages.length > 0) {
-          console.log('캐시 HIT', roomId, cachedMessages.length);
-          clearTimeout(timeoutId);
-          const sortedMessages = cachedMessages.length > limit
-          ? cachedMessages.slice(-limit)
-          : cachedMessages;
-          return {
-            messages: sortedMessages,
-            hasMore: cachedMessages.length > limit,
-            oldestTimestamp: sortedMessages[0]?.timestamp || null
-          };
+      const streamsKey = getAIStreamsKey(roomId);
+      const messageIds = await redisClient.setOps.smembers(streamsKey) || [];
+
+      for (const messageId of messageIds) {
+        const session = await redisClient.get('streamingSession:' + messageId);
+        if (!session) {
+          // TTL 만료 등으로 세션만 사라진 경우 정리
+          await redisClient.setOps.srem(streamsKey, messageId);
+          continue;
         }
-        console.log('캐시 MISS', roomId, cachedMessages.length);
-      }
 
-      // Aggregation Pipeline을 사용하여 쿼리 최적화
-      const matchStage = {
-        room: roomId,
-        isDeleted: false
-      };
-      
-      if (before) {
-        matchStage.timestamp = { $lt: new Date(before) };
-        console.log(`[DEBUG] Loading previous messages for room ${roomId} before ${before}`);
-      } else {
-        console.log(`[DEBUG] Loading initial messages for room ${roomId} (no 'before' timestamp)`);
+        socket.emit('aiMessageResume', {
+          messageId,
+          aiType: session.aiType,
+          persona: session.persona || null,
+          fullContent: session.content || '',
+          timestamp: session.timestamp,
+          lastUpdate: session.lastUpdate,
+          isComplete: false
+        });
       }
+    } catch (error) {
+      // 이어받기 실패는 입장/복귀 자체를 실패시키지 않음 (완료 시 aiMessageComplete로 전체 내용 수신)
+      console.error('AI stream resume error:', error);
+    }
+  };
 
-      console.time(`MongoDB Aggregation for Room ${roomId} (before: ${before})`);
-      // 단일 Aggregation Pipeline으로 모든 작업 처리
-      const messages = await Promise.race([
-        Message.aggregate([
-          // 1. 기본 필터링 (인덱스 사용: room + timestamp + isDeleted)
-          { $match: matchStage },
-          
-          // 2. 정렬 및 제한 (인덱스 사용)
-          { $sort: { timestamp: -1 } },
-          { $limit: limit + 1 },
-          
-          // 3. User 정보 조인 (프로젝션으로 필요한 필드만)
-          {
-            $lookup: {
-              from: 'users',
-              localField: 'sender',
-              foreignField: '_id',
-              as: 'sender',
-              pipeline: [
-                { $project: { name: 1, email: 1, profileImage: 1 } }
-              ]
-            }
-          },
-          
-          // 4. File 정보 조인 (조건부)
-          {
-            $lookup: {
-              from: 'files',
-              localField: 'file',
-              foreignField: '_id',
-              as: 'file',
-              pipeline: [
-                { $project: { filename: 1, originalname: 1, mimetype: 1, size: 1 } }
-              ]
-            }
-          },
-          
-          // 5. Readers 정보 조인 (읽음 상태)
-          {
-            $lookup: {
-              from: 'users',
-              localField: 'readers.userId',
-              foreignField: '_id',
-              as: 'readersData',
-              pipeline: [
-                { $project: { name: 1, email: 1 } }
-              ]
-            }
-          },
-          
-          // 6. 배열 필드 단일 객체로 변환
-          {
-            $addFields: {
-              sender: { $arrayElemAt: ['$sender', 0] },
-              file: { $arrayElemAt: ['$file', 0] }
-            }
-          },
-          
-          // 7. 불필요한 필드 제거
-          {
-            $project: {
-              __v: 0,
-              updatedAt: 0,
-              isDeleted: 0
-            }
-          }
-        ]),
-        timeoutPromise
-      ]);
-      console.timeEnd(`MongoDB Aggregation for Room ${roomId} (before: ${before})`);
-
-      // timeoutPromise 가 먼저 완료되면 messages 는 Error 객체가 됨
-      if (messages instanceof Error) {
-        throw messages;
-      }
+  // 이 pod에서 생성 중인 AI 응답 (messageId → { controller, cancelledBy })
+  const activeAIStreams = new Map();
 
-      // Result processing
-      const hasMore = messages.length > limit;
-      const resultMessages = messages.slice(0, limit);
-      const sortedMessages = resultMessages.sort((a, b) => 
-        new Date(a.timestamp) - new Date(b.timestamp)
-      );
+  // 로컬 스트림이면 중단하고 true, 다른 pod의 스트림이면 false
+  const cancelAIStream = (messageId, cancelledBy) => {
+    const stream = activeAIStreams.get(messageId);
+    if (!stream) return false;
 
-      // 로드 테스트 최적화: 대량 읽음 상태 업데이트
-      if (sortedMessages.length > 0 && socket.user) {
-        const messageIds = sortedMessages.map(msg => msg._id);
-        
-        // bulkWrite를 사용하여 성능 최적화
-        const bulkOps = messageIds.map(messageId => ({
-          updateOne: {
-            filter: {
-              _id: messageId,
-              'readers.userId': { $ne: socket.user.id }
-            },
-            update: {
-              $push: {
-                readers: {
-                  userId: socket.user.id,
-                  readAt: new Date()
-                }
-              }
-            }
-          }
-        }));
+    stream.cancelledBy = cancelledBy;
+    stream.controller.abort();
+    return true;
+  };
 
-        // 비동기로 대량 업데이트 실행 (응답 속도에 영향 없음)
-        Message.bulkWrite(bulkOps, { ordered: false })
+  // 다른 pod에서 전달된 AI 응답 취소 요청 (io.serverSideEmit)
+  io.on('aiCancel', ({ messageId, cancelledBy } = {}) => {
+    if (cancelAIStream(messageId, cancelledBy)) {
+      logDebug('AI response cancel relayed', { messageId, cancelledBy });
+    }
+  });
+
+  // 로드 테스트 최적화: 캐싱 + Aggregation Pipeline을 사용한 메시지 로드 함수
+  const loadMessages = async (socket, roomId, before, limit = BATCH_SIZE) => {
+    try {
+      const result = await MessageService.getRoomMessages(roomId, { before, limit });
+      const sortedMessages = result.messages;
+
+      // 최근 메시지를 불러온 경우 읽음 커서를 마지막 메시지로 전진 (응답 속도에 영향 없음)
+      const latestMessage = sortedMessages[sortedMessages.length - 1];
+      if (!before && latestMessage && socket.user) {
+        ReadCursor.advance(socket.user.id, roomId, latestMessage)
           .catch(error => {
-            console.error('Bulk read status update error:', error);
+            console.error('Read cursor update error:', error);
           });
       }
 
-      if (!before && messages.length > 0) {
-        // Cache the most recent messages
-        await redisClient.setEx(`room:messages:${roomId}`, CHAT_MESSAGE_TTL, JSON.stringify(messages.slice(0, RECENT_MESSAGE_CACHE)));
-      }
-
       return {
         messages: sortedMessages,
-        hasMore,
-        oldestTimestamp: sortedMessages[0]?.timestamp || null
+        hasMore: result.hasMoreBefore,
+        oldestTimestamp: result.oldestTimestamp
       };
     } catch (error) {
       if (error.message === 'Message loading timed out') {
@@ -199,7 +124,7 @@ module.exports = function(io) {
           roomId,
           before,
           limit,
-          timeout: MESSAGE_LOAD_TIMEOUT
+          timeout: MessageService.MESSAGE_LOAD_TIMEOUT
         });
       } else {
         console.error('Load messages error:', {
@@ -211,11 +136,6 @@ module.exports = function(io) {
         });
       }
       throw error;
-    } finally {
-        // Ensure the timeout is always cleared, regardless of success or error
-        if (timeoutId) {
-            clearTimeout(timeoutId);
-        }
     }
   };
 
@@ -308,16 +228,6 @@ module.exports = function(io) {
         return next(new Error('Invalid token'));
       }
 
-      // [Redis Migration] 이미 연결된 사용자인지 확인 (Redis)
-      const existingSocketId = await redisClient.get('connectedUser:' + decoded.user.id);
-      if (existingSocketId) {
-        const existingSocket = io.sockets.sockets.get(existingSocketId);
-        if (existingSocket) {
-          // 중복 로그인 처리
-          await handleDuplicateLogin(existingSocket, socket);
-        }
-      }
-
       const validationResult = await SessionService.validateSession(decoded.user.id, sessionId);
       if (!validationResult.isValid) {
         console.error('Session validation failed:', validationResult);
@@ -337,6 +247,21 @@ module.exports = function(io) {
         profileImage: user.profileImage
       };
 
+      // [Redis Migration] 이미 연결된 사용자인지 확인 (Redis)
+      const existingSocketId = await redisClient.get('connectedUser:' + decoded.user.id);
+      if (existingSocketId && existingSocketId !== socket.id) {
+        const existingSocket = io.sockets.sockets.get(existingSocketId);
+        if (existingSocket) {
+          // 이전 연결을 끊기 전에 활성 연결을 새 소켓으로 넘김
+          // (이전 연결의 disconnect가 구독 목록/접속 상태를 정리하지 않도록, 방 복원은 connection에서 처리)
+          socket.data.previousSocketId = existingSocketId;
+          await redisClient.set('connectedUser:' + decoded.user.id, socket.id);
+
+          // 중복 로그인 처리
+          await handleDuplicateLogin(existingSocket, socket);
+        }
+      }
+
       await SessionService.updateLastActivity(decoded.user.id);
       next();
 
@@ -362,10 +287,37 @@ module.exports = function(io) {
       userName: socket.user?.name
     });
 
+    // 입력 중 상태 (방별 만료 타이머, 이 소켓이 있는 pod에서만 관리하고 브로드캐스트는 Redis adapter로 전달)
+    const typingStates = new Map();
+
+    const emitTyping = (roomId, isTyping) => {
+      socket.to(roomId).emit('userTyping', {
+        roomId,
+        userId: socket.user.id,
+        name: socket.user.name,
+        isTyping,
+        expiresIn: isTyping ? TYPING_TIMEOUT : 0,
+        timestamp: Date.now()
+      });
+    };
+
+    const stopTyping = (roomId) => {
+      const state = typingStates.get(roomId);
+      if (!state) return;
+
+      clearTimeout(state.timer);
+      typingStates.delete(roomId);
+      emitTyping(roomId, false);
+    };
+
     if (socket.user) {
+      // 사용자 개인 채널 (멘션 등 방과 무관한 알림 전달용, Redis adapter로 pod 간 전달)
+      socket.join(`user:${socket.user.id}`);
+
       // [Redis Migration] 이전 연결이 있는지 확인 (Redis)
       (async () => {
-        const previousSocketId = await redisClient.get('connectedUser:' + socket.user.id);
+        const previousSocketId = socket.data.previousSocketId
+          || await redisClient.get('connectedUser:' + socket.user.id);
         if (previousSocketId && previousSocketId !== socket.id) {
           const previousSocket = io.sockets.sockets.get(previousSocketId);
           if (previousSocket) {
@@ -386,12 +338,35 @@ module.exports = function(io) {
               previousSocket.disconnect(true);
             }, DUPLICATE_LOGIN_TIMEOUT);
           }
+
+          // [Redis Migration] 이전 연결이 구독하던 채팅방을 새 연결이 이어받음 (다른 pod 연결 포함)
+          // 이전 연결은 더 이상 활성 연결이 아니므로 disconnect 시 구독 목록/접속 상태를 정리하지 않음
+          const joinedRooms = await redisClient.setOps.smembers(getUserRoomsKey(socket.user.id)) || [];
+          if (joinedRooms.length > 0) {
+            socket.join(joinedRooms);
+            socket.emit('roomsRestored', { roomIds: joinedRooms });
+          }
         }
         // [Redis Migration] 새로운 연결 정보 저장 (Redis)
         await redisClient.set('connectedUser:' + socket.user.id, socket.id);
       })();
     }
 
+    // 채팅방 목록(로비) 실시간 구독: roomCreated, roomUpdated, roomDeleted, roomParticipantsUpdated 수신
+    socket.on('subscribeRoomList', () => {
+      if (!socket.user) {
+        socket.emit('error', { message: 'Unauthorized' });
+        return;
+      }
+      socket.join(RoomService.ROOM_LIST_CHANNEL);
+      socket.emit('roomListSubscribed');
+    });
+
+    socket.on('unsubscribeRoomList', () => {
+      socket.leave(RoomService.ROOM_LIST_CHANNEL);
+      socket.emit('roomListUnsubscribed');
+    });
+
     // 이전 메시지 로딩 처리 개선
     socket.on('fetchPreviousMessages', async ({ roomId, before }) => {
       const queueKey = `${roomId}:${socket.user.id}`;
@@ -450,6 +425,87 @@ module.exports = function(io) {
       }
     });
     
+    // 스레드 답글 로딩 (loadMessages와 동일한 aggregation 형태, before 기준 역방향 페이징)
+    socket.on('fetchThread', async ({ threadId, before, limit }) => {
+      try {
+        if (!socket.user) {
+          throw new Error('Unauthorized');
+        }
+
+        const pageSize = Math.min(Math.max(1, parseInt(limit) || BATCH_SIZE), 100);
+
+        const parent = await Message.findOne({
+          _id: threadId,
+          isDeleted: false
+        }).select('room').lean();
+
+        if (!parent) {
+          throw new Error('스레드를 찾을 수 없습니다.');
+        }
+
+        // 권한 체크
+        const room = await Room.findOne({
+          _id: parent.room,
+          participants: socket.user.id
+        }).select('_id').lean();
+
+        if (!room) {
+          throw new Error('채팅방 접근 권한이 없습니다.');
+        }
+
+        const matchStage = {
+          parentMessage: parent._id,
+          isDeleted: false
+        };
+        if (before) {
+          matchStage.timestamp = { $lt: new Date(before) };
+        }
+
+        const [parentMessages, replies] = await Promise.all([
+          // 부모 메시지는 첫 페이지에서만 함께 전달
+          before ? Promise.resolve([]) : Message.aggregate([
+            { $match: { _id: parent._id } },
+            ...MessageService.getLookupStages(),
+            { $project: { __v: 0, updatedAt: 0, isDeleted: 0 } }
+          ]),
+          Message.aggregate([
+            { $match: matchStage },
+            { $sort: { timestamp: -1 } },
+            { $limit: pageSize + 1 },
+            ...MessageService.getLookupStages(),
+            { $project: { __v: 0, updatedAt: 0, isDeleted: 0 } }
+          ])
+        ]);
+
+        const hasMore = replies.length > pageSize;
+        const sortedReplies = replies.slice(0, pageSize).sort((a, b) =>
+          new Date(a.timestamp) - new Date(b.timestamp)
+        );
+
+        socket.emit('threadLoaded', {
+          threadId: parent._id,
+          parent: parentMessages[0] || null,
+          replies: sortedReplies,
+          hasMore,
+          oldestTimestamp: sortedReplies[0]?.timestamp || null
+        });
+
+        logDebug('thread loaded', {
+          threadId: parent._id,
+          room: parent.room,
+          replyCount: sortedReplies.length,
+          hasMore
+        });
+
+      } catch (error) {
+        console.error('Fetch thread error:', error);
+        socket.emit('error', {
+          type: 'THREAD_LOAD_ERROR',
+          message: error.message || '스레드를 불러오는 중 오류가 발생했습니다.'
+        });
+      }
+    });
+
     // 채팅방 입장 처리 개선
     socket.on('joinRoom', async (roomId) => {
       try {
@@ -457,9 +513,8 @@ module.exports = function(io) {
           throw new Error('Unauthorized');
         }
 
-        // [Redis Migration] 이미 해당 방에 참여 중인지 확인 (Redis)
-        const currentRoom = await redisClient.get('userRoom:' + socket.user.id);
-        if (currentRoom === roomId) {
+        // 이미 이 연결에서 구독 중인 방인지 확인 (다른 방 구독은 유지)
+        if (socket.rooms.has(roomId)) {
           logDebug('already in room', {
             userId: socket.user.id,
             roomId
@@ -468,19 +523,16 @@ module.exports = function(io) {
           return;
         }
 
-        // [Redis Migration] 기존 방에서 나가기 (Redis)
-        if (currentRoom) {
-          logDebug('leaving current room', { 
-            userId: socket.user.id, 
-            roomId: currentRoom 
-          });
-          socket.leave(currentRoom);
-          await redisClient.del('userRoom:' + socket.user.id);
-          
-          socket.to(currentRoom).emit('userLeft', {
-            userId: socket.user.id,
-            name: socket.user.name
-          });
+        // 입장 차단 여부 확인
+        const roomAccess = await Room.findById(roomId).select('creator bans isDirect visibility participants').lean();
+        if (ModerationService.getActiveBan(roomAccess, socket.user.id)) {
+          throw new Error('입장이 차단된 채팅방입니다.');
+        }
+
+        // DM, 비공개 방은 기존 참여자(또는 방장)만 입장 가능 (새 참여는 초대 링크로)
+        if ((roomAccess?.isDirect || roomAccess?.visibility === 'private') &&
+          !RoomService.getRole(roomAccess, socket.user.id)) {
+          throw new Error('채팅방 접근 권한이 없습니다.');
         }
 
         // 채팅방 참가 with profileImage
@@ -499,8 +551,9 @@ module.exports = function(io) {
 
         socket.join(roomId);
         console.log(`User ${socket.user.id} (${socket.user.name}) joined Socket.IO room ${roomId}`);
-        // [Redis Migration] 새로운 방 정보 저장 (Redis)
-        await redisClient.set('userRoom:' + socket.user.id, roomId);
+        // [Redis Migration] 구독 중인 방 목록에 추가 (Redis)
+        await redisClient.setOps.sadd(getUserRoomsKey(socket.user.id), roomId);
+        await PresenceService.setOnline(roomId, socket.user.id);
 
         // 입장 메시지 생성
         const joinMessage = new Message({
@@ -524,9 +577,15 @@ module.exports = function(io) {
           hasMore,
           oldestTimestamp
         });
+        await sendActiveAIStreams(socket, roomId);
 
         io.to(roomId).emit('message', joinMessage);
         io.to(roomId).emit('participantsUpdate', room.participants);
+        RoomService.emitParticipantsCount(io, room);
+        io.to(roomId).emit(
+          'presenceUpdate',
+          await PresenceService.toPresenceUpdate(roomId, socket.user.id, 'online')
+        );
 
         logDebug('user joined room', {
           userId: socket.user.id,
@@ -543,6 +602,58 @@ module.exports = function(io) {
       }
     });
     
+    // 재접속 후 채팅방 복귀 (입장 메시지 없이 마지막으로 본 시점 이후 변경분만 전달)
+    socket.on('resumeRoom', async ({ roomId, lastMessageId, since } = {}) => {
+      try {
+        if (!socket.user) {
+          throw new Error('Unauthorized');
+        }
+
+        const room = await Room.findOne({
+          _id: roomId,
+          participants: socket.user.id
+        }).select('_id').lean();
+
+        if (!room) {
+          throw new Error('채팅방 접근 권한이 없습니다.');
+        }
+
+        const changes = await MessageService.getRoomChangesSince(roomId, lastMessageId || since);
+
+        socket.join(roomId);
+        // [Redis Migration] 구독 중인 방 목록에 추가 (Redis)
+        await redisClient.setOps.sadd(getUserRoomsKey(socket.user.id), roomId);
+        await PresenceService.setOnline(roomId, socket.user.id);
+
+        socket.emit('resumeRoomResult', {
+          roomId,
+          ...changes
+        });
+        await sendActiveAIStreams(socket, roomId);
+        io.to(roomId).emit(
+          'presenceUpdate',
+          await PresenceService.toPresenceUpdate(roomId, socket.user.id, 'online')
+        );
+
+        logDebug('user resumed room', {
+          userId: socket.user.id,
+          roomId,
+          since: changes.since,
+          tooFarBehind: changes.tooFarBehind,
+          messageCount: changes.messages.length,
+          editCount: changes.edits.length,
+          deletionCount: changes.deletions.length
+        });
+
+      } catch (error) {
+        console.error('Resume room error:', error);
+        socket.emit('resumeRoomError', {
+          roomId,
+          message: error.message || '채팅방 복귀에 실패했습니다.'
+        });
+      }
+    });
+
     // 메시지 전송 처리
     socket.on('chatMessage', async (messageData) => {
       try {
@@ -554,7 +665,7 @@ module.exports = function(io) {
           throw new Error('메시지 데이터가 없습니다.');
         }
 
-        const { room, type, content, fileData } = messageData;
+        const { room, type, content, fileData, threadId } = messageData;
 
         if (!room) {
           throw new Error('채팅방 정보가 없습니다.');
@@ -570,6 +681,9 @@ module.exports = function(io) {
           throw new Error('채팅방 접근 권한이 없습니다.');
         }
 
+        // 채팅 금지 여부 확인 (읽기만 가능)
+        ModerationService.assertNotMuted(chatRoom, socket.user.id);
+
         // 세션 유효성 재확인
         const sessionValidation = await SessionService.validateSession(
           socket.user.id, 
@@ -580,8 +694,26 @@ module.exports = function(io) {
           throw new Error('세션이 만료되었습니다. 다시 로그인해주세요.');
         }
 
+        // 스레드 답글인 경우 부모 메시지 확인 (한 단계 스레드만 허용)
+        let parentMessage = null;
+        if (threadId) {
+          parentMessage = await Message.findOne({
+            _id: threadId,
+            room,
+            isDeleted: false
+          }).select('_id parentMessage').lean();
+
+          if (!parentMessage) {
+            throw new Error('스레드를 찾을 수 없습니다.');
+          }
+
+          if (parentMessage.parentMessage) {
+            throw new Error('답글에는 답글을 달 수 없습니다.');
+          }
+        }
+
         // AI 멘션 확인
-        const aiMentions = extractAIMentions(content);
+        const aiMentions = await AiPersonaService.extractMentions(content, room);
         let message;
 
         logDebug('message received', {
@@ -644,65 +776,92 @@ module.exports = function(io) {
             throw new Error('지원하지 않는 메시지 타입입니다.');
         }
 
+        if (parentMessage) {
+          message.parentMessage = parentMessage._id;
+        }
+
+        // 사용자 멘션(@이름)을 참여자 ID로 변환하여 저장
+        if (message.content?.includes('@')) {
+          const participants = await User.find({
+            _id: { $in: chatRoom.participants }
+          }).select('name').lean();
+          message.mentions = MessageService.resolveMentions(message.content, participants);
+        }
+
         // 메시지 저장 및 populate를 한 번에 처리하여 성능 최적화
         const savedMessage = await message.save();
         
         // Aggregation을 사용하여 populate 최적화
         const populatedMessage = await Message.aggregate([
           { $match: { _id: savedMessage._id } },
-          {
-            $lookup: {
-              from: 'users',
-              localField: 'sender',
-              foreignField: '_id',
-              as: 'sender',
-              pipeline: [{ $project: { name: 1, email: 1, profileImage: 1 } }]
-            }
-          },
-          {
-            $lookup: {
-              from: 'files',
-              localField: 'file',
-              foreignField: '_id',
-              as: 'file',
-              pipeline: [{ $project: { filename: 1, originalname: 1, mimetype: 1, size: 1 } }]
-            }
-          },
-          {
-            $lookup: {
-              from: 'users',
-              localField: 'readers.userId',
-              foreignField: '_id',
-              as: 'readersData',
-              pipeline: [{ $project: { name: 1, email: 1 } }]
-            }
-          },
-          {
-            $addFields: {
-              sender: { $arrayElemAt: ['$sender', 0] },
-              file: { $arrayElemAt: ['$file', 0] }
-            }
-          }
+          ...MessageService.getLookupStages()
         ]);
 
         message = populatedMessage[0] || savedMessage;
 
-        // Update Redis cache for recent messages (팀원의 캐싱 최적화 유지)
-        const cacheKey = `room:messages:${room}`;
-        let cached = await redisClient.get(cacheKey) || [];
-        cached.push(message.toObject ? message.toObject() : message);
-        if (cached.length > RECENT_MESSAGE_CACHE) cached = cached.slice(-RECENT_MESSAGE_CACHE);
-        await redisClient.setEx(cacheKey, MESSAGES_TTL, JSON.stringify(cached));
+        if (parentMessage) {
+          // 스레드 답글은 메인 타임라인 캐시에 넣지 않고 스레드 이벤트로만 전달
+          const parent = await MessageService.addThreadReply(parentMessage._id, savedMessage);
 
-        // Direct socket emission - pub/sub removed for load testing
-        console.log(`Broadcasting message to room ${room}, connected sockets:`, io.sockets.adapter.rooms.get(room)?.size || 0);
-        io.to(room).emit('message', message);
+          io.to(room).emit('threadMessage', {
+            threadId: parentMessage._id,
+            message
+          });
+
+          if (parent) {
+            io.to(room).emit('threadUpdated', MessageService.toThreadUpdate(parent));
+          }
+        } else {
+          // Update Redis cache for recent messages (팀원의 캐싱 최적화 유지)
+          const cacheKey = `room:messages:${room}`;
+          let cached = await redisClient.get(cacheKey) || [];
+          cached.push(message.toObject ? message.toObject() : message);
+          if (cached.length > RECENT_MESSAGE_CACHE) cached = cached.slice(-RECENT_MESSAGE_CACHE);
+          await redisClient.setEx(cacheKey, MESSAGES_TTL, JSON.stringify(cached));
+
+          const roomActivity = await RoomService.recordLastMessage(savedMessage, {
+            _id: socket.user.id,
+            name: socket.user.name
+          });
+          if (roomActivity) {
+            RoomService.emitRoomList(io, 'roomUpdated', roomActivity);
+          }
+
+          // Direct socket emission - pub/sub removed for load testing
+          console.log(`Broadcasting message to room ${room}, connected sockets:`, io.sockets.adapter.rooms.get(room)?.size || 0);
+          io.to(room).emit('message', message);
+        }
+
+        // 메시지를 보냈으면 입력 중 표시 해제
+        stopTyping(room);
+
+        // 멘션된 사용자에게 개인 채널로 알림 (다른 방에 있어도 수신)
+        for (const userId of savedMessage.mentions || []) {
+          if (userId === socket.user.id) continue;
+          io.to(`user:${userId}`).emit('mentioned', {
+            messageId: savedMessage._id,
+            room,
+            roomName: chatRoom.name,
+            threadId: parentMessage?._id || null,
+            sender: {
+              _id: socket.user.id,
+              name: socket.user.name,
+              profileImage: socket.user.profileImage
+            },
+            content: savedMessage.content,
+            timestamp: savedMessage.timestamp
+          });
+        }
 
         // AI 멘션이 있는 경우 AI 응답 생성
         if (aiMentions.length > 0) {
           for (const ai of aiMentions) {
             const query = content.replace(new RegExp(`@${ai}\\b`, 'g'), '').trim();
-            await handleAIResponse(io, room, ai, query);
+            await handleAIResponse(io, room, ai, query, {
+              triggerMessageId: savedMessage._id,
+              userId: socket.user.id,
+              userName: socket.user.name
+            });
           }
         }
 
@@ -711,7 +870,8 @@ module.exports = function(io) {
         logDebug('message processed', {
           messageId: message._id,
           type: message.type,
-          room
+          room,
+          threadId: parentMessage?._id
         });
 
       } catch (error) {
@@ -723,6 +883,34 @@ module.exports = function(io) {
       }
     });
 
+    // 입력 중 표시 시작 (스로틀링 + 서버 측 자동 만료)
+    socket.on('typingStart', ({ roomId } = {}) => {
+      if (!socket.user || !roomId || !socket.rooms.has(roomId)) return;
+
+      const now = Date.now();
+      const state = typingStates.get(roomId);
+
+      if (state) {
+        clearTimeout(state.timer);
+      }
+
+      const shouldBroadcast = !state || now - state.lastEmittedAt >= TYPING_THROTTLE;
+      typingStates.set(roomId, {
+        lastEmittedAt: shouldBroadcast ? now : state.lastEmittedAt,
+        timer: setTimeout(() => stopTyping(roomId), TYPING_TIMEOUT)
+      });
+
+      if (shouldBroadcast) {
+        emitTyping(roomId, true);
+      }
+    });
+
+    // 입력 중 표시 종료
+    socket.on('typingStop', ({ roomId } = {}) => {
+      if (!socket.user || !roomId) return;
+      stopTyping(roomId);
+    });
+
     // 채팅방 퇴장 처리
     socket.on('leaveRoom', async (roomId) => {
       try {
@@ -730,9 +918,9 @@ module.exports = function(io) {
           throw new Error('Unauthorized');
         }
 
-        // [Redis Migration] 실제로 해당 방에 참여 중인지 먼저 확인 (Redis)
-        const currentRoom = await redisClient.get('userRoom:' + socket.user.id);
-        if (!currentRoom || currentRoom !== roomId) {
+        // [Redis Migration] 실제로 해당 방을 구독 중인지 먼저 확인 (Redis)
+        const joinedRooms = await redisClient.setOps.smembers(getUserRoomsKey(socket.user.id)) || [];
+        if (!joinedRooms.includes(roomId) && !socket.rooms.has(roomId)) {
           console.log(`User ${socket.user.id} is not in room ${roomId}`);
           return;
         }
@@ -741,7 +929,7 @@ module.exports = function(io) {
         const room = await Room.findOne({
           _id: roomId,
           participants: socket.user.id
-        }).select('participants').lean();
+        }).select('participants isDirect').lean();
 
         if (!room) {
           console.log(`Room ${roomId} not found or user has no access`);
@@ -749,10 +937,21 @@ module.exports = function(io) {
         }
 
         socket.leave(roomId);
-        // [Redis Migration] 방 정보 삭제 (Redis)
-        await redisClient.del('userRoom:' + socket.user.id);
+        stopTyping(roomId);
+        // [Redis Migration] 구독 중인 방 목록에서 제거 (Redis)
+        await redisClient.setOps.srem(getUserRoomsKey(socket.user.id), roomId);
+        await PresenceService.setOffline(roomId, socket.user.id);
+
+        // DM은 참여자 구성이 고정되어 있으므로 구독만 해제 (멤버십 유지)
+        if (room.isDirect) {
+          io.to(roomId).emit(
+            'presenceUpdate',
+            await PresenceService.toPresenceUpdate(roomId, socket.user.id, 'offline')
+          );
+          return;
+        }
 
-        // 퇴장 메시지 생성 및 저장
+        // 퇴장 메시지 생성 및 저장 (명시적 퇴장만 멤버십 종료)
         const leaveMessage = await Message.create({
           room: roomId,
           content: `${socket.user.name}님이 퇴장하였습니다.`,
@@ -763,7 +962,7 @@ module.exports = function(io) {
         // 참가자 목록 업데이트 - profileImage 포함
         const updatedRoom = await Room.findByIdAndUpdate(
           roomId,
-          { $pull: { participants: socket.user.id } },
+          { $pull: { participants: socket.user.id, roles: { user: socket.user.id } } },
           { 
             new: true,
             runValidators: true
@@ -771,7 +970,7 @@ module.exports = function(io) {
         ).populate('participants', 'name email profileImage');
 
         // roomList 캐시 무효화 (cluster-safe)
-        await invalidateRoomListCache();
+        await RoomService.invalidateRoomListCache();
 
         if (!updatedRoom) {
           console.log(`Room ${roomId} not found during update`);
@@ -786,6 +985,11 @@ module.exports = function(io) {
         // 이벤트 발송
         io.to(roomId).emit('message', leaveMessage);
         io.to(roomId).emit('participantsUpdate', updatedRoom.participants);
+        RoomService.emitParticipantsCount(io, updatedRoom);
+        io.to(roomId).emit(
+          'presenceUpdate',
+          await PresenceService.toPresenceUpdate(roomId, socket.user.id, 'offline')
+        );
 
         console.log(`User ${socket.user.id} left room ${roomId} successfully`);
 
@@ -801,16 +1005,24 @@ module.exports = function(io) {
     socket.on('disconnect', async (reason) => {
       if (!socket.user) return;
 
+      // 비정상 종료된 클라이언트의 입력 중 표시 정리
+      for (const roomId of [...typingStates.keys()]) {
+        stopTyping(roomId);
+      }
+
       try {
         // [Redis Migration] 해당 사용자의 현재 활성 연결인 경우에만 정리 (Redis)
         const redisSocketId = await redisClient.get('connectedUser:' + socket.user.id);
+        const isActiveConnection = !redisSocketId || redisSocketId === socket.id;
         if (redisSocketId === socket.id) {
           await redisClient.del('connectedUser:' + socket.user.id);
         }
 
-        // [Redis Migration] 방 정보 삭제 (Redis)
-        const roomId = await redisClient.get('userRoom:' + socket.user.id);
-        await redisClient.del('userRoom:' + socket.user.id);
+        // [Redis Migration] 구독 중인 방 목록 (Redis) - 새 연결이 이어받은 경우 유지
+        const joinedRooms = await redisClient.setOps.smembers(getUserRoomsKey(socket.user.id)) || [];
+        if (isActiveConnection) {
+          await redisClient.del(getUserRoomsKey(socket.user.id));
+        }
 
         // 메시지 큐 정리 (cluster-safe)
         const queueSetKey = `messageQueue:${socket.user.id}:keys`;
@@ -821,32 +1033,16 @@ module.exports = function(io) {
           await redisClient.del(retryKey);
         }
         await redisClient.del(queueSetKey);
-    
-
-        // 현재 방에서 자동 퇴장 처리
-        if (roomId) {
-          // 다른 디바이스로 인한 연결 종료가 아닌 경우에만 처리
-          if (reason !== 'client namespace disconnect' && reason !== 'duplicate_login') {
-            const leaveMessage = await Message.create({
-              room: roomId,
-              content: `${socket.user.name}님이 연결이 끊어졌습니다.`,
-              type: 'system',
-              timestamp: new Date()
-            });
 
-            const updatedRoom = await Room.findByIdAndUpdate(
-              roomId,
-              { $pull: { participants: socket.user.id } },
-              { 
-                new: true,
-                runValidators: true 
-              }
-            ).populate('participants', 'name email profileImage');
-
-            if (updatedRoom) {
-              io.to(roomId).emit('message', leaveMessage);
-              io.to(roomId).emit('participantsUpdate', updatedRoom.participants);
-            }
+        // 연결 해제는 실시간 접속 상태만 변경하고 채팅방 멤버십(participants)은 유지
+        // (명시적인 leaveRoom만 멤버십 종료, 다른 기기로 재연결된 경우는 접속 상태 유지)
+        if (isActiveConnection) {
+          for (const roomId of joinedRooms) {
+            await PresenceService.setOffline(roomId, socket.user.id);
+            io.to(roomId).emit(
+              'presenceUpdate',
+              await PresenceService.toPresenceUpdate(roomId, socket.user.id, 'offline')
+            );
           }
         }
 
@@ -854,7 +1050,7 @@ module.exports = function(io) {
           reason,
           userId: socket.user.id,
           socketId: socket.id,
-          lastRoom: roomId
+          joinedRooms
         });
 
       } catch (error) {
@@ -901,45 +1097,28 @@ module.exports = function(io) {
           return;
         }
 
-        // 읽음 상태 업데이트
-        await Message.updateMany(
-          {
-            _id: { $in: messageIds },
-            room: roomId,
-            'readers.userId': { $ne: socket.user.id }
-          },
-          {
-            $push: {
-              readers: {
-                userId: socket.user.id,
-                readAt: new Date()
-              }
-            }
-          }
-        );
-        const cacheKey = `room:messages:${roomId}`;
-        let cached = await redisClient.get(cacheKey) || [];
-        let cacheChanged = false;
-        if (cached) {
-          if (typeof cached === 'string') cached = JSON.parse(cached);
-          for (const messageId of messageIds) {
-            const idx = cached.findIndex(m => m._id === messageId.toString());
-            if (idx !== -1) {
-              if (!cached[idx].readers) cached[idx].readers = [];
-              if (!cached[idx].readers.some(r => r.userId === socket.user.id)) {
-                cached[idx].readers.push({ userId: socket.user.id, readAt });
-                cacheChanged = true;
-              }
-            }
-          }
-          if (cacheChanged) {
-            await redisClient.setEx(cacheKey, MESSAGES_TTL, JSON.stringify(cached));
-          }
+        // 전달된 메시지 중 가장 최근 메시지까지 읽음 커서 전진
+        const latestMessage = await Message.findOne({
+          _id: { $in: messageIds },
+          room: roomId,
+          isDeleted: false
+        })
+          .sort({ timestamp: -1 })
+          .select('_id timestamp')
+          .lean();
+
+        if (!latestMessage) {
+          return;
         }
 
+        const cursor = await ReadCursor.advance(socket.user.id, roomId, latestMessage);
+
         socket.to(roomId).emit('messagesRead', {
           userId: socket.user.id,
-          messageIds
+          roomId,
+          messageIds,
+          lastReadMessageId: cursor?.lastReadMessage || latestMessage._id,
+          lastReadAt: cursor?.lastReadAt || latestMessage.timestamp
         });
 
       } catch (error) {
@@ -992,64 +1171,241 @@ module.exports = function(io) {
         });
       }
     });
-  });
 
-  // AI 멘션 추출 함수
-  function extractAIMentions(content) {
-    if (!content) return [];
-    
-    const aiTypes = ['wayneAI', 'consultingAI'];
-    const mentions = new Set();
-    const mentionRegex = /@(wayneAI|consultingAI)\b/g;
-    let match;
-    
-    while ((match = mentionRegex.exec(content)) !== null) {
-      if (aiTypes.includes(match[1])) {
-        mentions.add(match[1]);
+    // 메시지 수정 처리
+    socket.on('editMessage', async ({ messageId, content } = {}) => {
+      try {
+        if (!socket.user) {
+          throw new Error('Unauthorized');
+        }
+
+        const { message, changed } = await MessageService.editMessage(messageId, socket.user.id, content);
+        if (!changed) {
+          return;
+        }
+
+        io.to(message.room).emit('messageEdited', MessageService.toEditUpdate(message));
+
+        logDebug('message edited', {
+          messageId: message._id,
+          room: message.room,
+          userId: socket.user.id,
+          editCount: message.editHistory.length
+        });
+
+      } catch (error) {
+        console.error('Message edit error:', error);
+        socket.emit('error', {
+          code: error.code || 'EDIT_ERROR',
+          message: error.message || '메시지 수정 중 오류가 발생했습니다.'
+        });
       }
+    });
+
+    // 메시지 삭제 처리
+    socket.on('deleteMessage', async ({ messageId }) => {
+      try {
+        if (!socket.user) {
+          throw new Error('Unauthorized');
+        }
+
+        const { message, threadUpdate } = await MessageService.deleteMessage(messageId, socket.user.id);
+
+        io.to(message.room).emit('messageDeleted', MessageService.toTombstone(message));
+        if (threadUpdate) {
+          io.to(message.room).emit('threadUpdated', threadUpdate);
+        }
+        if (message.pinnedAt) {
+          io.to(message.room).emit(
+            'pinsUpdated',
+            await MessageService.toPinsUpdate(message, socket.user.id, 'unpinned')
+          );
+        }
+
+        logDebug('message deleted', {
+          messageId: message._id,
+          room: message.room,
+          userId: socket.user.id
+        });
+
+      } catch (error) {
+        console.error('Message delete error:', error);
+        socket.emit('error', {
+          code: 'DELETE_ERROR',
+          message: error.message || '메시지 삭제 중 오류가 발생했습니다.'
+        });
+      }
+    });
+
+    // AI 응답 생성 중지 (질문한 사용자 또는 메시지 삭제 권한이 있는 사용자)
+    socket.on('aiCancel', async ({ messageId } = {}) => {
+      try {
+        if (!socket.user) {
+          throw new Error('Unauthorized');
+        }
+
+        const session = messageId
+          ? await redisClient.get('streamingSession:' + messageId)
+          : null;
+        if (!session) {
+          throw new Error('진행 중인 AI 응답을 찾을 수 없습니다.');
+        }
+
+        const room = await Room.findById(session.room)
+          .select('creator participants roles isDirect')
+          .lean();
+        if (!room) {
+          throw new Error('채팅방을 찾을 수 없습니다.');
+        }
+
+        const canCancel = RoomService.getRole(room, socket.user.id) && (
+          session.requestedBy === socket.user.id ||
+          RoomService.hasPermission(room, socket.user.id, 'deleteMessages')
+        );
+        if (!canCancel) {
+          throw new Error('AI 응답을 중지할 권한이 없습니다.');
+        }
+
+        // 다른 pod에서 생성 중인 응답이면 해당 pod로 취소 요청 전달
+        if (!cancelAIStream(messageId, socket.user.id)) {
+          io.serverSideEmit('aiCancel', { messageId, cancelledBy: socket.user.id });
+        }
+
+        logDebug('AI response cancel requested', {
+          messageId,
+          room: session.room,
+          userId: socket.user.id
+        });
+
+      } catch (error) {
+        console.error('AI cancel error:', error);
+        socket.emit('error', {
+          code: 'AI_CANCEL_ERROR',
+          message: error.message || 'AI 응답 중지 중 오류가 발생했습니다.'
+        });
+      }
+    });
+
+    // 메시지 고정 / 고정 해제 (pin 권한 필요)
+    const handlePin = (pinned) => async ({ messageId } = {}) => {
+      try {
+        if (!socket.user) {
+          throw new Error('Unauthorized');
+        }
+
+        const message = await MessageService.setPinned(messageId, socket.user.id, pinned);
+
+        io.to(message.room).emit(
+          'pinsUpdated',
+          await MessageService.toPinsUpdate(message, socket.user.id, pinned ? 'pinned' : 'unpinned')
+        );
+
+        logDebug(pinned ? 'message pinned' : 'message unpinned', {
+          messageId: message._id,
+          room: message.room,
+          userId: socket.user.id
+        });
+
+      } catch (error) {
+        console.error('Message pin error:', error);
+        socket.emit('error', {
+          code: 'PIN_ERROR',
+          message: error.message || '메시지 고정 중 오류가 발생했습니다.'
+        });
+      }
+    };
+
+    socket.on('pinMessage', handlePin(true));
+    socket.on('unpinMessage', handlePin(false));
+  });
+
+  // AI 메시지 저장 (메시지 캐시/채팅방 마지막 메시지 갱신 포함)
+  async function saveAIMessage(room, aiName, content, metadata) {
+    const aiMessage = await Message.create({
+      room,
+      content,
+      type: 'ai',
+      aiType: aiName,
+      timestamp: new Date(),
+      reactions: {},
+      metadata
+    });
+
+    const cacheKey = `room:messages:${room}`;
+    let cached = await redisClient.get(cacheKey) || [];
+    cached.push(aiMessage.toObject ? aiMessage.toObject() : aiMessage);
+    if (cached.length > RECENT_MESSAGE_CACHE) cached = cached.slice(-RECENT_MESSAGE_CACHE);
+    await redisClient.setEx(cacheKey, MESSAGES_TTL, JSON.stringify(cached));
+
+    const roomActivity = await RoomService.recordLastMessage(aiMessage);
+    if (roomActivity) {
+      RoomService.emitRoomList(io, 'roomUpdated', roomActivity);
     }
-    
-    return Array.from(mentions);
+
+    return aiMessage;
   }
 
   // AI 응답 처리 함수 개선
-  async function handleAIResponse(io, room, aiName, query) {
+  async function handleAIResponse(io, room, aiName, query, { triggerMessageId, userId, userName } = {}) {
+    const personas = await AiPersonaService.getPersonasForRoom(room);
+    const persona = AiPersonaService.findPersona(personas, aiName);
+    if (!persona) return;
+
     const messageId = `${aiName}-${Date.now()}`;
     let accumulatedContent = '';
+    let settled = false; // 완료/취소/오류 이벤트 중 하나만 전송
     const timestamp = new Date();
+    const controller = new AbortController();
+    const stream = { controller, cancelledBy: null };
+    const personaInfo = {
+      name: persona.name,
+      handle: persona.handle,
+      avatar: persona.avatar || null
+    };
 
-    // [Redis Migration] 스트리밍 세션 초기화 (Redis)
-    await redisClient.setEx(
-      'streamingSession:' + messageId,
-      600,
-      JSON.stringify({
-        room,
+    try {
+      // 세션 등록 중 Redis 오류가 나도 finally/catch에서 정리되도록 try 안에서 등록
+      activeAIStreams.set(messageId, stream);
+
+      // [Redis Migration] 스트리밍 세션 초기화 (Redis)
+      await redisClient.setEx(
+        'streamingSession:' + messageId,
+        STREAMING_SESSION_TTL,
+        JSON.stringify({
+          room,
+          aiType: aiName,
+          persona: personaInfo,
+          content: '',
+          messageId,
+          requestedBy: userId,
+          timestamp,
+          lastUpdate: Date.now(),
+          reactions: {}
+        })
+      );
+      await redisClient.setOps.sadd(getAIStreamsKey(room), messageId);
+      await redisClient.expire(getAIStreamsKey(room), STREAMING_SESSION_TTL);
+
+      logDebug('AI response started', {
+        messageId,
         aiType: aiName,
-        content: '',
+        room,
+        query
+      });
+
+      // 초기 상태 전송
+      io.to(room).emit('aiMessageStart', {
         messageId,
-        timestamp,
-        lastUpdate: Date.now(),
-        reactions: {}
-      })
-    ); // 10분 TTL
-    
-    logDebug('AI response started', {
-      messageId,
-      aiType: aiName,
-      room,
-      query
-    });
+        aiType: aiName,
+        persona: personaInfo,
+        timestamp
+      });
 
-    // 초기 상태 전송
-    io.to(room).emit('aiMessageStart', {
-      messageId,
-      aiType: aiName,
-      timestamp
-    });
+      // 최근 대화 맥락 (이 페르소나의 이전 답변 포함)
+      const history = await aiService.loadConversationHistory(room, triggerMessageId);
 
-    try {
       // AI 응답 생성 및 스트리밍
-      await aiService.generateResponse(query, aiName, {
+      await aiService.generateResponse(query, persona, {
         onStart: () => {
           logDebug('AI generation started', {
             messageId,
@@ -1057,6 +1413,8 @@ module.exports = function(io) {
           });
         },
         onChunk: async (chunk) => {
+          if (controller.signal.aborted) return;
+
           accumulatedContent += chunk.currentChunk || '';
           // [Redis Migration] 세션 업데이트 (Redis)
           const sessionRaw = await redisClient.get('streamingSession:' + messageId);
@@ -1064,7 +1422,7 @@ module.exports = function(io) {
           if (session) {
             session.content = accumulatedContent;
             session.lastUpdate = Date.now();
-            await redisClient.setEx('streamingSession:' + messageId, 600, JSON.stringify(session));
+            await redisClient.setEx('streamingSession:' + messageId, STREAMING_SESSION_TTL, JSON.stringify(session));
           }
 
           io.to(room).emit('aiMessageChunk', {
@@ -1078,32 +1436,20 @@ module.exports = function(io) {
           });
         },
         onComplete: async (finalContent) => {
+          activeAIStreams.delete(messageId);
           // [Redis Migration] 스트리밍 세션 정리 (Redis)
-          await redisClient.del('streamingSession:' + messageId);
+          await clearStreamingSession(room, messageId);
 
           // AI 메시지 저장
-          const aiMessage = await Message.create({
-            room,
-            content: finalContent.content,
-            type: 'ai',
-            aiType: aiName,
-            timestamp: new Date(),
-            reactions: {},
-            metadata: {
-              query,
-              generationTime: Date.now() - timestamp,
-              completionTokens: finalContent.completionTokens,
-              totalTokens: finalContent.totalTokens
-            }
+          const aiMessage = await saveAIMessage(room, aiName, finalContent.content, {
+            query,
+            generationTime: Date.now() - timestamp,
+            completionTokens: finalContent.completionTokens,
+            totalTokens: finalContent.totalTokens
           });
 
-          const cacheKey = `room:messages:${room}`;
-          let cached = await redisClient.get(cacheKey) || [];
-          cached.push(aiMessage.toObject ? aiMessage.toObject() : aiMessage);
-          if (cached.length > RECENT_MESSAGE_CACHE) cached = cached.slice(-RECENT_MESSAGE_CACHE);
-          await redisClient.setEx(cacheKey, MESSAGES_TTL, JSON.stringify(cached));
-
           // 완료 메시지 전송
+          settled = true;
           io.to(room).emit('aiMessageComplete', {
             messageId,
             _id: aiMessage._id,
@@ -1122,10 +1468,47 @@ module.exports = function(io) {
             generationTime: Date.now() - timestamp
           });
         },
+        // 중지된 경우 지금까지 생성된 내용만 cancelled 표시와 함께 저장 (내용이 없으면 저장하지 않음)
+        onCancel: async () => {
+          activeAIStreams.delete(messageId);
+          await clearStreamingSession(room, messageId);
+
+          const content = accumulatedContent.trim();
+          const aiMessage = content
+            ? await saveAIMessage(room, aiName, content, {
+              query,
+              generationTime: Date.now() - timestamp,
+              cancelled: true,
+              cancelledBy: stream.cancelledBy
+            })
+            : null;
+
+          settled = true;
+          io.to(room).emit('aiMessageCancelled', {
+            messageId,
+            _id: aiMessage?._id || null,
+            content,
+            aiType: aiName,
+            cancelledBy: stream.cancelledBy,
+            timestamp: new Date(),
+            isComplete: true,
+            query,
+            reactions: {}
+          });
+
+          logDebug('AI response cancelled', {
+            messageId,
+            aiType: aiName,
+            cancelledBy: stream.cancelledBy,
+            contentLength: content.length
+          });
+        },
         onError: async (error) => {
-          await redisClient.del('streamingSession:' + messageId);
+          activeAIStreams.delete(messageId);
+          await clearStreamingSession(room, messageId);
           console.error('AI response error:', error);
           
+          settled = true;
           io.to(room).emit('aiMessageError', {
             messageId,
             error: error.message || 'AI 응답 생성 중 오류가 발생했습니다.',
@@ -1138,22 +1521,28 @@ module.exports = function(io) {
             error: error.message
           });
         }
-      });
+      }, { history, userName, personas, signal: controller.signal });
     } catch (error) {
-      await redisClient.del('streamingSession:' + messageId);
+      await clearStreamingSession(room, messageId).catch(cleanupError => {
+        console.error('Streaming session cleanup error:', cleanupError);
+      });
       console.error('AI service error:', error);
       
-      io.to(room).emit('aiMessageError', {
-        messageId,
-        error: error.message || 'AI 서비스 오류가 발생했습니다.',
-        aiType: aiName
-      });
+      if (!settled) {
+        io.to(room).emit('aiMessageError', {
+          messageId,
+          error: error.message || 'AI 서비스 오류가 발생했습니다.',
+          aiType: aiName
+        });
+      }
 
       logDebug('AI service error', {
         messageId,
         aiType: aiName,
         error: error.message
       });
+    } finally {
+      activeAIStreams.delete(messageId);
     }
   }
 
@@ -37,6 +37,13 @@ class MockRedisClient {
       smembers: async (setKey) => {
         const set = this.store.get(setKey);
         return set ? Array.from(set) : [];
+      },
+      srem: async (setKey, value) => {
+        const set = this.store.get(setKey);
+        if (!set) return 0;
+        const removed = set.delete(value) ? 1 : 0;
+        if (set.size === 0) this.store.delete(setKey);
+        return removed;
       }
     };
   }
@@ -115,6 +122,11 @@ class RedisClient {
         if (!this.isConnected) await this.connect();
         if (this.useMock) return this.client.setOps.smembers(setKey);
         return this.client.smembers(setKey);
+      },
+      srem: async (setKey, value) => {
+        if (!this.isConnected) await this.connect();
+        if (this.useMock) return this.client.setOps.srem(setKey, value);
+        return this.client.srem(setKey, value);
       }
     };
   }